@@ -0,0 +1,57 @@
+/**
+ * Checkout identity ingestion
+ * Lets the storefront link the GA4 web client_id of a checkout to the Square customer and/or
+ * order, so server-side GA4 events continue the browser's session instead of starting a new user
+ */
+const { parseCheckoutLink, recordCheckoutClientId } = require('../lib/identity');
+
+/**
+ * Checkout identity handler function
+ *
+ * POST /api/checkout-identity { client_id, customer_id?, order_id? } - client_id is the GA4
+ *   client ID or _ga cookie value; at least one Square ID is required
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Links decide whose analytics an order lands in, so a configured key is always required
+  const authHeader = req.headers.authorization;
+  const identityKey = process.env.IDENTITY_API_KEY;
+
+  if (!identityKey || !authHeader || !authHeader.startsWith('Bearer ') || authHeader.substring(7) !== identityKey) {
+    return res.status(401).json({
+      error: 'Unauthorized. Please provide a valid API key in the Authorization header.'
+    });
+  }
+
+  let link;
+  try {
+    link = parseCheckoutLink(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await recordCheckoutClientId(link);
+  } catch (error) {
+    console.error('Error recording checkout identity:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  console.log(JSON.stringify({
+    level: 'info',
+    event: 'checkout_identity_recorded',
+    has_customer: !!link.customer_id,
+    order_id: link.order_id,
+    timestamp: new Date().toISOString()
+  }));
+
+  return res.status(200).json({ success: true, ...link });
+}
+
+module.exports = handler;
@@ -2,14 +2,15 @@
  * Simple webhook activity dashboard
  * Provides visibility into processed and failed events
  */
-const { getRecentEvents, getFailedEvents } = require('../lib/storage');
+const { getRecentEvents, getFailedEvents, getDeadLetterEvents, getDedupStats } = require('../lib/storage');
+const { PURCHASE_RULES, getPurchaseStats } = require('../lib/purchase-tracker');
 
 /**
  * Dashboard handler function
  * @param {Object} req - HTTP request
  * @param {Object} res - HTTP response
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Only allow GET method
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -34,14 +35,16 @@ export default async function handler(req, res) {
     const recentEvents = await getRecentEvents(limit);
     
     // Get failed events awaiting retry
-    const failedEventsJson = await getFailedEvents();
-    const failedEvents = failedEventsJson.map(json => {
-      try {
-        return JSON.parse(json);
-      } catch (e) {
-        return { error: 'Failed to parse event data' };
-      }
-    });
+    const failedEvents = await getFailedEvents();
+    
+    // Get events that ran out of retries
+    const deadLetterEvents = await getDeadLetterEvents();
+    
+    // Get idempotency reservation counters
+    const dedup = await getDedupStats();
+    
+    // Get the GA4 purchase tracker's rules and how often each applied
+    const purchaseStats = await getPurchaseStats();
     
     // Calculate summary metrics
     const eventTypeCounts = {};
@@ -60,19 +63,27 @@ export default async function handler(req, res) {
         oldestTimestamp: failedEvents.length > 0 ? 
           failedEvents.sort((a, b) => new Date(a.failed_at) - new Date(b.failed_at))[0]?.failed_at : null
       },
+      deadLetter: {
+        total: deadLetterEvents.length
+      },
+      dedup,
+      purchaseTracking: {
+        rules: PURCHASE_RULES.map(rule => ({ ...rule, count: purchaseStats[rule.action] || 0 }))
+      },
       updatedAt: new Date().toISOString()
     };
     
     // Return response in the requested format
     if (format === 'html') {
       // Return HTML dashboard
-      return res.status(200).send(generateHtmlDashboard(recentEvents, failedEvents, summary));
+      return res.status(200).send(generateHtmlDashboard(recentEvents, failedEvents, deadLetterEvents, summary));
     } else {
       // Return JSON data
       return res.status(200).json({
         summary,
         recentEvents,
-        failedEvents
+        failedEvents,
+        deadLetterEvents
       });
     }
   } catch (error) {
@@ -88,10 +99,11 @@ export default async function handler(req, res) {
  * Generate HTML dashboard
  * @param {Array} recentEvents - Recently processed events
  * @param {Array} failedEvents - Failed events awaiting retry
+ * @param {Array} deadLetterEvents - Events that ran out of retries
  * @param {Object} summary - Summary metrics
  * @returns {string} - HTML content
  */
-function generateHtmlDashboard(recentEvents, failedEvents, summary) {
+function generateHtmlDashboard(recentEvents, failedEvents, deadLetterEvents, summary) {
   return `
 <!DOCTYPE html>
 <html lang="en">
@@ -225,6 +237,17 @@ function generateHtmlDashboard(recentEvents, failedEvents, summary) {
       gap: 8px;
       margin-top: 10px;
     }
+    .rules {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 30px;
+    }
+    .rules th, .rules td {
+      text-align: left;
+      padding: 8px;
+      border-bottom: 1px solid #eee;
+      vertical-align: top;
+    }
   </style>
 </head>
 <body>
@@ -260,8 +283,26 @@ function generateHtmlDashboard(recentEvents, failedEvents, summary) {
         ''
       }
     </div>
+    <div class="stat-card">
+      <h3>Dead-Letter Events</h3>
+      <div class="stat-value">${summary.deadLetter.total}</div>
+      <div>${summary.deadLetter.total > 0 ? 'Manage via /api/dead-letters' : 'No dead-lettered events'}</div>
+    </div>
+    <div class="stat-card">
+      <h3>Idempotency</h3>
+      <div class="stat-value">${summary.dedup.committed}</div>
+      <div>Reserved: ${summary.dedup.reserved} &middot; Expired leases: ${summary.dedup.expired}</div>
+    </div>
   </div>
 
+  <h2>GA4 Purchase Tracking</h2>
+  <table class="rules">
+    <tr><th>Action</th><th>Rule</th><th>Events</th></tr>
+    ${summary.purchaseTracking.rules.map(rule => `
+      <tr><td><span class="badge">${rule.action}</span></td><td>${rule.description}</td><td>${rule.count}</td></tr>
+    `).join('')}
+  </table>
+
   <div class="events-container">
     <div class="events-section">
       <h2>Recent Events</h2>
@@ -270,8 +311,9 @@ function generateHtmlDashboard(recentEvents, failedEvents, summary) {
         <div class="event success">
           <div class="event-header">
             <span class="event-type">${event.event_type || 'Unknown Type'}</span>
-            <span class="timestamp">${new Date(event.processed_at).toLocaleString()}</span>
+            <span class="timestamp">${new Date(event.processed_at || event.received_at).toLocaleString()}</span>
           </div>
+          ${event.state === 'reserved' ? '<span class="badge">in progress</span>' : ''}
           <div>Event ID: ${event.data?.event_id || 'N/A'}</div>
           ${event.data?.merchant_id ? `<div>Merchant ID: ${event.data.merchant_id}</div>` : ''}
           <details>
@@ -294,6 +336,28 @@ function generateHtmlDashboard(recentEvents, failedEvents, summary) {
           <div>Event ID: ${event.event_data?.event_id || 'N/A'}</div>
           <div class="error-message">Error: ${event.error || 'Unknown error'}</div>
           <div>Retry Count: ${event.retry_count || 0}</div>
+          ${event.next_attempt_at ? `<div>Next Attempt: ${new Date(event.next_attempt_at).toLocaleString()}</div>` : ''}
+          ${event.failed_destinations ? `<div>Failed Destinations: ${event.failed_destinations.join(', ')}</div>` : ''}
+          <details>
+            <summary>Event Data</summary>
+            <pre>${JSON.stringify(event.event_data, null, 2)}</pre>
+          </details>
+        </div>
+      `).join('')}
+    </div>
+
+    <div class="events-section">
+      <h2>Dead-Letter Events</h2>
+      ${deadLetterEvents.length === 0 ? '<p>No dead-lettered events.</p>' : ''}
+      ${deadLetterEvents.map(event => `
+        <div class="event failed">
+          <div class="event-header">
+            <span class="event-type">${event.event_data?.type || 'Unknown Type'}</span>
+            <span class="timestamp">${new Date(event.dead_lettered_at).toLocaleString()}</span>
+          </div>
+          <div>Event ID: ${event.event_id || 'N/A'}</div>
+          <div class="error-message">Reason: ${event.dead_letter_reason || 'Unknown'}</div>
+          <div>Retry Count: ${event.retry_count || 0}</div>
           <details>
             <summary>Event Data</summary>
             <pre>${JSON.stringify(event.event_data, null, 2)}</pre>
@@ -313,3 +377,5 @@ function generateHtmlDashboard(recentEvents, failedEvents, summary) {
 </html>
   `;
 }
+
+module.exports = handler;
@@ -0,0 +1,94 @@
+/**
+ * Dead-letter queue API
+ * List, inspect, requeue or purge events that ran out of retry attempts
+ */
+const {
+  getDeadLetterEvents,
+  getDeadLetterEvent,
+  requeueDeadLetterEvent,
+  purgeDeadLetterEvents
+} = require('../lib/storage');
+
+/**
+ * Dead-letter handler function
+ *
+ * GET    /api/dead-letters                 - List dead-lettered events
+ * GET    /api/dead-letters?event_id=ID     - Inspect one event
+ * POST   /api/dead-letters { event_id }    - Requeue an event for retry
+ * DELETE /api/dead-letters?event_id=ID     - Purge one event (omit event_id to purge all)
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  // Check for authentication; changes always require a configured key
+  const authHeader = req.headers.authorization;
+  const dashboardKey = process.env.DASHBOARD_API_KEY;
+  const isAuthorized = authHeader && authHeader.startsWith('Bearer ') && authHeader.substring(7) === dashboardKey;
+  
+  if ((dashboardKey || req.method !== 'GET') && !isAuthorized) {
+    return res.status(401).json({
+      error: 'Unauthorized. Please provide a valid API key in the Authorization header.'
+    });
+  }
+  
+  try {
+    const eventId = req.query.event_id || req.body?.event_id;
+    
+    if (req.method === 'GET') {
+      if (eventId) {
+        const event = await getDeadLetterEvent(eventId);
+        if (!event) {
+          return res.status(404).json({ error: `Dead-letter event not found: ${eventId}` });
+        }
+        return res.status(200).json({ event });
+      }
+      
+      const events = await getDeadLetterEvents();
+      return res.status(200).json({
+        total: events.length,
+        events
+      });
+    }
+    
+    if (req.method === 'POST') {
+      if (!eventId) {
+        return res.status(400).json({ error: 'event_id is required' });
+      }
+      
+      const requeued = await requeueDeadLetterEvent(eventId);
+      if (!requeued) {
+        return res.status(404).json({ error: `Dead-letter event not found: ${eventId}` });
+      }
+      
+      console.log(`Requeued dead-letter event: ${eventId}`);
+      return res.status(200).json({
+        success: true,
+        requeued: eventId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // DELETE
+    const purged = await purgeDeadLetterEvents(eventId || null);
+    console.log(`Purged ${purged} dead-letter event(s)${eventId ? `: ${eventId}` : ''}`);
+    
+    return res.status(200).json({
+      success: true,
+      purged,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in dead-letter handler:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,77 @@
+/**
+ * Event status lookup
+ * Answers "have we seen this event, when, and with what outcome" for support teams
+ */
+const {
+  getEventMarker,
+  getDeliveryRecords,
+  getFailedEvent,
+  getDeadLetterEvent
+} = require('../lib/storage');
+
+/**
+ * Event status handler function
+ *
+ * GET /api/event-status?event_id=ID - Idempotency marker, per-destination deliveries,
+ *                                     and any pending retry or dead-letter record
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Event metadata is never public, so a configured key is always required
+  const authHeader = req.headers.authorization;
+  const dashboardKey = process.env.DASHBOARD_API_KEY;
+
+  if (!dashboardKey || !authHeader || !authHeader.startsWith('Bearer ') || authHeader.substring(7) !== dashboardKey) {
+    return res.status(401).json({
+      error: 'Unauthorized. Please provide a valid API key in the Authorization header.'
+    });
+  }
+
+  const eventId = req.query.event_id;
+  if (!eventId) {
+    return res.status(400).json({ error: 'event_id is required' });
+  }
+
+  try {
+    const [marker, deliveries, failed, deadLetter] = await Promise.all([
+      getEventMarker(eventId),
+      getDeliveryRecords(eventId),
+      getFailedEvent(eventId),
+      getDeadLetterEvent(eventId)
+    ]);
+
+    const seen = !!marker || Object.keys(deliveries).length > 0 || !!failed || !!deadLetter;
+
+    return res.status(seen ? 200 : 404).json({
+      event_id: eventId,
+      seen,
+      marker,
+      deliveries,
+      retry: failed ? {
+        retry_count: failed.retry_count || 0,
+        next_attempt_at: failed.next_attempt_at || null,
+        failed_destinations: failed.failed_destinations || null,
+        error: failed.error
+      } : null,
+      dead_letter: deadLetter ? {
+        dead_lettered_at: deadLetter.dead_lettered_at || null,
+        reason: deadLetter.dead_letter_reason || null
+      } : null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error looking up event:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = handler;
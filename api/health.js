@@ -1,15 +1,33 @@
 /**
  * Health check endpoint for monitoring system status
  */
-const { kv } = require('@vercel/kv');
-const { getSquareClient } = require('../lib/square-api');
+const { pingStorage, getMetrics, getMerchantMetrics, getDedupStats } = require('../lib/storage');
+const { getCacheStats } = require('../lib/cache');
+const { callSquare, getBreakerState, BREAKER_STATES } = require('../lib/square-client');
+const { getSignatureKeys } = require('../lib/signature');
+const { getTenants, getTenantForEvent } = require('../lib/tenants');
+const { getAccessToken, getTokenHealth, TOKEN_STATES } = require('../lib/oauth');
+
+/**
+ * Check whether the caller may see per-merchant details
+ * Accepts the same secrets as the refresh-tokens job
+ * @param {Object} req - HTTP request
+ * @returns {boolean} - True if a valid CRON_SECRET bearer token or retry secret key was sent
+ */
+function isAuthorized(req) {
+  const cronSecret = process.env.CRON_SECRET;
+  const retryKey = process.env.RETRY_SECRET_KEY;
+
+  return (!!cronSecret && req.headers.authorization === `Bearer ${cronSecret}`) ||
+    (!!retryKey && req.headers['x-retry-secret-key'] === retryKey);
+}
 
 /**
  * Health check handler function
  * @param {Object} req - HTTP request
  * @param {Object} res - HTTP response
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   const startTime = Date.now();
   const healthStatus = {
     status: 'ok',
@@ -23,41 +41,61 @@ export default async function handler(req, res) {
   };
 
   try {
-    // Check KV storage connection
+    // Check storage connection
     try {
-      await kv.ping();
+      const backend = await pingStorage();
       healthStatus.services.storage = {
         status: 'ok',
+        backend,
         latency: Date.now() - startTime
       };
-    } catch (kvError) {
+    } catch (storageError) {
       healthStatus.services.storage = {
         status: 'error',
-        message: kvError.message,
+        message: storageError.message,
         latency: Date.now() - startTime
       };
       healthStatus.status = 'degraded';
     }
 
     // Check Square API connection
-    if (process.env.SQUARE_ACCESS_TOKEN) {
-      try {
-        const squareClient = getSquareClient();
-        const squareCheckStart = Date.now();
-        // Just fetch a simple endpoint to verify connectivity
-        await squareClient.locationsApi.listLocations();
-        
-        healthStatus.services.squareApi = {
-          status: 'ok',
-          latency: Date.now() - squareCheckStart
-        };
-      } catch (squareError) {
+    const tenants = getTenants();
+    if (process.env.SQUARE_ACCESS_TOKEN || tenants.length > 0) {
+      const breaker = getBreakerState();
+      if (breaker.state === BREAKER_STATES.OPEN) {
+        // Don't add load while Square is failing; the breaker already knows it's down
         healthStatus.services.squareApi = {
           status: 'error',
-          message: squareError.message,
-          latency: Date.now() - startTime
+          message: 'Circuit breaker is open, enrichment is skipped',
+          breaker
         };
         healthStatus.status = 'degraded';
+      } else {
+        try {
+          const squareCheckStart = Date.now();
+          // Use the stored token, which refreshes replace, rather than the one configured at deploy time
+          const tenant = process.env.SQUARE_ACCESS_TOKEN ? getTenantForEvent({}) : tenants[0];
+          const accessToken = await getAccessToken(tenant);
+          if (!accessToken) {
+            throw new Error('No usable access token (revoked or expired)');
+          }
+          // Just fetch a simple endpoint to verify connectivity
+          await callSquare('listLocations', client => client.locationsApi.listLocations(), { accessToken });
+          
+          healthStatus.services.squareApi = {
+            status: 'ok',
+            latency: Date.now() - squareCheckStart,
+            breaker: getBreakerState()
+          };
+        } catch (squareError) {
+          healthStatus.services.squareApi = {
+            status: 'error',
+            message: squareError.message,
+            latency: Date.now() - startTime,
+            breaker: getBreakerState()
+          };
+          healthStatus.status = 'degraded';
+        }
       }
     } else {
       healthStatus.services.squareApi = {
@@ -67,26 +105,66 @@ export default async function handler(req, res) {
     }
 
     // Check environment variables
-    const requiredEnvVars = ['SQUARE_SIGNATURE_KEY'];
-    const missingVars = requiredEnvVars.filter(v => !process.env[v]);
+    const missingVars = [];
+    const signatureKeys = getSignatureKeys();
+    if (signatureKeys.length === 0 && !tenants.some(tenant => tenant.signatureKeys)) {
+      missingVars.push('SQUARE_SIGNATURE_KEY');
+    }
     
     if (missingVars.length > 0) {
       healthStatus.status = 'degraded';
       healthStatus.missingEnvVars = missingVars;
     }
+    
+    // Report rotation state without exposing key material
+    healthStatus.signatureKeys = signatureKeys.map(entry => ({
+      id: entry.id,
+      not_after: entry.notAfter ? entry.notAfter.toISOString() : null,
+      retired: !!entry.notAfter && entry.notAfter.getTime() < Date.now()
+    }));
+
+    // Merchant IDs, token state and per-merchant counters are only shown to authorized callers
+    const detailed = isAuthorized(req);
+
+    // Report registered tenants without exposing tokens or keys
+    if (tenants.length > 0) {
+      if (detailed) {
+        healthStatus.tenants = tenants.map(tenant => ({
+          merchant_id: tenant.merchantId,
+          own_signature_keys: !!tenant.signatureKeys,
+          disabled_destinations: Object.keys(tenant.destinations).filter(name => tenant.destinations[name] === false),
+          high_value_threshold: tenant.highValueThreshold
+        }));
+      }
+
+      // Flag tokens that are about to expire or failed to refresh; revoked sellers are expected
+      try {
+        const tokens = await getTokenHealth();
+        const unhealthy = tokens.filter(token =>
+          token.status !== TOKEN_STATES.REVOKED && (token.near_expiry || token.expired || token.refresh_failed));
+        if (unhealthy.length > 0) {
+          healthStatus.status = 'degraded';
+        }
+        healthStatus.oauthTokens = detailed ? tokens : { total: tokens.length, unhealthy: unhealthy.length };
+      } catch (tokenError) {
+        console.error('Error fetching OAuth token state:', tokenError);
+      }
+    }
 
     // Check recent webhook activity
     try {
-      const prefix = 'metrics:';
-      const metricKeys = await kv.keys(`${prefix}*`);
-      if (metricKeys.length > 0) {
-        const metrics = {};
-        for (const key of metricKeys) {
-          const metricName = key.replace(prefix, '');
-          metrics[metricName] = await kv.get(key);
-        }
+      const metrics = await getMetrics();
+      if (Object.keys(metrics).length > 0) {
         healthStatus.webhookMetrics = metrics;
       }
+      if (detailed) {
+        const merchantMetrics = await getMerchantMetrics();
+        if (Object.keys(merchantMetrics).length > 0) {
+          healthStatus.merchantMetrics = merchantMetrics;
+        }
+      }
+      healthStatus.dedup = await getDedupStats();
+      healthStatus.enrichmentCache = await getCacheStats();
     } catch (metricsError) {
       console.error('Error fetching metrics:', metricsError);
     }
@@ -108,3 +186,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+module.exports = handler;
@@ -0,0 +1,76 @@
+/**
+ * Queue worker for webhook events
+ * Drains events that were acknowledged to Square but not yet processed.
+ * This endpoint is scheduled to run every minute via Vercel cron jobs
+ */
+const { drainQueue, getQueueStats } = require('../lib/queue');
+
+// Leave headroom under the 10s function limit
+const MAX_DRAIN_MS = 7000;
+const BATCH_SIZE = 10;
+
+/**
+ * Queue worker handler function
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function handler(req, res) {
+  // Allow only GET for cron and manual triggering and POST for webhook
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // For webhook trigger, verify secret key
+  if (req.method === 'POST') {
+    const secretKey = req.headers['x-retry-secret-key'];
+    const configuredKey = process.env.RETRY_SECRET_KEY;
+
+    if (!configuredKey || secretKey !== configuredKey) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const startTime = Date.now();
+    const results = [];
+
+    // Keep claiming batches until the queue is empty or time runs short
+    while (Date.now() - startTime < MAX_DRAIN_MS) {
+      const batch = await drainQueue({ limit: BATCH_SIZE });
+      results.push(...batch);
+      if (batch.length < BATCH_SIZE) break;
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'queue_drained',
+      processed: results.length,
+      statuses: summary,
+      duration_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    }));
+
+    return res.status(200).json({
+      success: true,
+      processed: results.length,
+      statuses: summary,
+      queue: await getQueueStats(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in queue worker:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = handler;
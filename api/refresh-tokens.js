@@ -0,0 +1,65 @@
+/**
+ * OAuth token refresh job
+ * Refreshes registered merchants' access tokens before they expire, including merchants
+ * that send no events. This endpoint is scheduled to run every hour via Vercel cron jobs
+ */
+const { refreshExpiringTokens } = require('../lib/oauth');
+
+/**
+ * Check the cron bearer token or the retry secret key
+ * @param {Object} req - HTTP request
+ * @returns {boolean} - True if either configured secret matches
+ */
+function isAuthorized(req) {
+  const cronSecret = process.env.CRON_SECRET;
+  const retryKey = process.env.RETRY_SECRET_KEY;
+
+  return (!!cronSecret && req.headers.authorization === `Bearer ${cronSecret}`) ||
+    (!!retryKey && req.headers['x-retry-secret-key'] === retryKey);
+}
+
+/**
+ * Token refresh handler function
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function handler(req, res) {
+  // Allow only GET for cron and manual triggering and POST for webhook
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // The run calls Square for every merchant and reports them by ID, so it is never public:
+  // Vercel cron sends CRON_SECRET as a bearer token, manual runs send RETRY_SECRET_KEY
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const results = await refreshExpiringTokens();
+
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'oauth_refresh_run',
+      refreshed: results.filter(result => result.status === 'active').length,
+      failed: results.filter(result => result.status !== 'active').length,
+      timestamp: new Date().toISOString()
+    }));
+
+    return res.status(200).json({
+      success: true,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in token refresh job:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = handler;
@@ -2,7 +2,7 @@
  * Test endpoint to simulate Square webhooks
  * Useful for local development and testing
  */
-const { generateTestSignature } = require('../lib/signature');
+const { generateTestSignature, getSignatureOptions, SIGNATURE_SCHEMES } = require('../lib/signature');
 const axios = require('axios');
 
 // Sample webhook events for different types
@@ -178,7 +178,7 @@ function generateUniqueEventId() {
  * @param {Object} req - HTTP request
  * @param {Object} res - HTTP response
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Only allow POST method
   if (req.method !== 'GET' && req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -196,7 +196,9 @@ export default async function handler(req, res) {
       targetUrl,
       signatureKey = 'test-signature-key',
       sendSignature = true,
-      uniqueEventId = true
+      uniqueEventId = true,
+      signatureScheme,
+      notificationUrl
     } = req.body;
     
     // Validate required fields
@@ -230,11 +232,20 @@ export default async function handler(req, res) {
       event.data.object.updated_at = new Date().toISOString();
     }
     
+    // Sign with the configured scheme so the round trip matches production.
+    // For the square scheme the notification URL defaults to the configured one,
+    // then to the target URL itself.
+    const configured = getSignatureOptions();
+    const signatureOptions = {
+      scheme: signatureScheme || configured.scheme,
+      notificationUrl: notificationUrl || configured.notificationUrl || targetUrl
+    };
+    
     // Generate signature if requested
     const payload = JSON.stringify(event);
     let signature = null;
     if (sendSignature) {
-      signature = generateTestSignature(event, signatureKey);
+      signature = generateTestSignature(payload, signatureKey, signatureOptions);
     }
     
     // Send webhook to target URL
@@ -246,8 +257,8 @@ export default async function handler(req, res) {
       headers['X-Square-HMACSHA256-Signature'] = signature;
     }
     
-    // Send the webhook
-    const response = await axios.post(targetUrl, event, { headers });
+    // Send the exact bytes that were signed
+    const response = await axios.post(targetUrl, payload, { headers });
     
     return res.status(200).json({
       success: true,
@@ -260,6 +271,8 @@ export default async function handler(req, res) {
         data: response.data
       },
       signature: signature,
+      signatureScheme: signatureOptions.scheme,
+      notificationUrl: signatureOptions.scheme === SIGNATURE_SCHEMES.SQUARE ? signatureOptions.notificationUrl : null,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -383,6 +396,20 @@ function generateTestUI() {
       <input type="text" id="signatureKey" name="signatureKey" placeholder="Your webhook signature key" value="test-signature-key">
     </div>
     
+    <div class="form-group">
+      <label for="signatureScheme">Signature Scheme</label>
+      <select id="signatureScheme" name="signatureScheme">
+        <option value="">Configured (${getSignatureOptions().scheme})</option>
+        <option value="square">Square (notification URL + body, base64)</option>
+        <option value="legacy">Legacy (body only, hex)</option>
+      </select>
+    </div>
+    
+    <div class="form-group">
+      <label for="notificationUrl">Notification URL</label>
+      <input type="text" id="notificationUrl" name="notificationUrl" placeholder="Defaults to the configured notification URL, then the target URL">
+    </div>
+    
     <div class="checkbox-group">
       <input type="checkbox" id="sendSignature" name="sendSignature" checked>
       <label for="sendSignature">Send Signature Header</label>
@@ -419,6 +446,8 @@ function generateTestUI() {
           webhookType: form.webhookType.value,
           targetUrl: form.targetUrl.value,
           signatureKey: form.signatureKey.value,
+          signatureScheme: form.signatureScheme.value || undefined,
+          notificationUrl: form.notificationUrl.value || undefined,
           sendSignature: form.sendSignature.checked,
           uniqueEventId: form.uniqueEventId.checked
         };
@@ -441,7 +470,7 @@ function generateTestUI() {
             <p><strong>Event Type:</strong> \${data.eventType}</p>
             <p><strong>Event ID:</strong> \${data.eventId}</p>
             <p><strong>Target Response:</strong> \${data.targetResponse.status} \${data.targetResponse.statusText}</p>
-            <p><strong>Signature:</strong> \${data.signature || 'Not sent'}</p>
+            <p><strong>Signature:</strong> \${data.signature || 'Not sent'} (\${data.signatureScheme})</p>
             <p><strong>Timestamp:</strong> \${data.timestamp}</p>
             <details>
               <summary>Target Response Data</summary>
@@ -468,3 +497,5 @@ function generateTestUI() {
 </html>
   `;
 }
+
+module.exports = handler;
@@ -2,14 +2,14 @@
  * Validate Square webhook signatures
  * Useful for GTM server or other systems to verify webhook authenticity
  */
-const { validateSignature } = require('../lib/signature');
+const { validateSignature, getSignatureOptions } = require('../lib/signature');
 
 /**
  * Handler for signature validation
  * @param {Object} req - HTTP request
  * @param {Object} res - HTTP response
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Only allow POST method
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -17,7 +17,7 @@ export default async function handler(req, res) {
   
   try {
     // Extract information from request
-    const { payload, signature, signatureKey } = req.body;
+    const { payload, signature, signatureKey, scheme, notificationUrl } = req.body;
     
     // Validate required fields
     if (!payload || !signature || !signatureKey) {
@@ -27,11 +27,19 @@ export default async function handler(req, res) {
       });
     }
     
+    // Fall back to the configured scheme for anything not provided
+    const configured = getSignatureOptions();
+    const signatureOptions = {
+      scheme: scheme || configured.scheme,
+      notificationUrl: notificationUrl || configured.notificationUrl
+    };
+    
     // Validate signature
-    const isValid = validateSignature(payload, signature, signatureKey);
+    const isValid = validateSignature(payload, signature, signatureKey, signatureOptions);
     
     return res.status(200).json({
       valid: isValid,
+      scheme: signatureOptions.scheme,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -42,3 +50,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+module.exports = handler;
@@ -0,0 +1,233 @@
+/**
+ * Enrichment cache for Square API lookups
+ * A TTL cache in the storage layer, shared by every instance, so bursts of events
+ * for the same order or customer don't re-fetch it from Square each time.
+ */
+const { getStorageBackend } = require('./storage-backends');
+const { scanKeys } = require('./storage');
+
+/**
+ * Prefix constants for key organization
+ */
+const PREFIX = {
+  ENTRY: 'cache:',
+  STATS: 'cache_stats:'
+};
+
+/**
+ * Cached lookup namespaces
+ */
+const CACHE_NAMESPACES = {
+  ORDER: 'order',
+  CUSTOMER: 'customer',
+  CATALOG: 'catalog'
+};
+
+const DEFAULT_TTL_SECONDS = 300;
+
+// SDK models carry money amounts and versions as BigInt, which JSON can't hold; they are
+// stored as { "$bigint": "<digits>" } and restored on read, so a hit returns what a miss does
+const BIGINT_TAG = '$bigint';
+
+/**
+ * Get the cache TTL from the environment
+ * @returns {number} - TTL in seconds; 0 disables the cache
+ */
+function getCacheTtlSeconds() {
+  const value = process.env.ENRICHMENT_CACHE_TTL_SECONDS;
+  return value === undefined || value === '' ? DEFAULT_TTL_SECONDS : Number(value) || 0;
+}
+
+/**
+ * Serialize a value for the cache, keeping BigInts
+ * @param {any} value - Value to cache
+ * @returns {string} - JSON
+ */
+function serializeEntry(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? { [BIGINT_TAG]: item.toString() } : item));
+}
+
+/**
+ * Restore a BigInt stored by serializeEntry
+ * @param {string} key - JSON key
+ * @param {any} item - JSON value
+ * @returns {any} - The value, with tagged BigInts restored
+ */
+function reviveBigInt(key, item) {
+  const tagged = item !== null && typeof item === 'object' && typeof item[BIGINT_TAG] === 'string' &&
+    Object.keys(item).length === 1;
+  return tagged ? BigInt(item[BIGINT_TAG]) : item;
+}
+
+/**
+ * Parse a cached value; KV may return JSON values already deserialized
+ * @param {string|Object} value - Stored value
+ * @returns {any} - Cached value, or null
+ */
+function parseEntry(value) {
+  if (value === null || value === undefined) return null;
+  return JSON.parse(typeof value === 'string' ? value : JSON.stringify(value), reviveBigInt);
+}
+
+/**
+ * Count a cache hit or miss; stats must never break a lookup
+ * @param {string} namespace - Cache namespace
+ * @param {string} outcome - 'hits' or 'misses'
+ * @param {number} count - Amount to add
+ */
+async function recordStat(namespace, outcome, count = 1) {
+  if (count <= 0) return;
+  try {
+    await getStorageBackend().incrby(`${PREFIX.STATS}${namespace}:${outcome}`, count);
+  } catch (error) {
+    console.error('Error recording cache stats:', error);
+  }
+}
+
+/**
+ * Read through the cache
+ * Null results (not found, lookup errors) are not cached
+ * @param {string} namespace - Cache namespace
+ * @param {string} id - Key within the namespace
+ * @param {Function} loader - async () => value, called on a miss
+ * @param {Object} options - { ttlSeconds }
+ * @returns {Promise<any>} - Cached or freshly loaded value
+ */
+async function cached(namespace, id, loader, { ttlSeconds = getCacheTtlSeconds() } = {}) {
+  if (!id || ttlSeconds <= 0) {
+    return loader();
+  }
+
+  const key = `${PREFIX.ENTRY}${namespace}:${id}`;
+
+  try {
+    const hit = parseEntry(await getStorageBackend().get(key));
+    if (hit !== null) {
+      await recordStat(namespace, 'hits');
+      return hit;
+    }
+  } catch (error) {
+    // A broken cache falls back to the API
+    console.error('Error reading enrichment cache:', error);
+  }
+
+  await recordStat(namespace, 'misses');
+  const value = await loader();
+
+  if (value !== null && value !== undefined) {
+    try {
+      await getStorageBackend().set(key, serializeEntry(value), { ex: Math.ceil(ttlSeconds) });
+    } catch (error) {
+      console.error('Error writing enrichment cache:', error);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Read many keys through the cache with one batch loader for the misses
+ * @param {string} namespace - Cache namespace
+ * @param {Array<string>} ids - Keys within the namespace
+ * @param {Function} loader - async (missingIds) => { id: value }
+ * @returns {Promise<Object>} - Map of id to value for every id found
+ */
+async function cachedMany(namespace, ids, loader) {
+  const ttlSeconds = getCacheTtlSeconds();
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) return {};
+  if (ttlSeconds <= 0) return (await loader(unique)) || {};
+
+  const store = getStorageBackend();
+  const results = {};
+
+  try {
+    const values = await store.mget(...unique.map(id => `${PREFIX.ENTRY}${namespace}:${id}`));
+    values.forEach((value, index) => {
+      const entry = parseEntry(value);
+      if (entry !== null) results[unique[index]] = entry;
+    });
+  } catch (error) {
+    console.error('Error reading enrichment cache:', error);
+  }
+
+  const missing = unique.filter(id => !(id in results));
+  await recordStat(namespace, 'hits', unique.length - missing.length);
+  await recordStat(namespace, 'misses', missing.length);
+
+  if (missing.length > 0) {
+    const loaded = (await loader(missing)) || {};
+    for (const [id, value] of Object.entries(loaded)) {
+      results[id] = value;
+      try {
+        await store.set(`${PREFIX.ENTRY}${namespace}:${id}`, serializeEntry(value), { ex: Math.ceil(ttlSeconds) });
+      } catch (error) {
+        console.error('Error writing enrichment cache:', error);
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Drop one cached entry, or a whole namespace when no id is given
+ * @param {string} namespace - Cache namespace
+ * @param {string|null} id - Key within the namespace
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function invalidate(namespace, id = null) {
+  try {
+    const keys = id
+      ? [`${PREFIX.ENTRY}${namespace}:${id}`]
+      : await scanKeys(`${PREFIX.ENTRY}${namespace}:*`);
+    if (keys.length === 0) return 0;
+
+    const removed = await getStorageBackend().del(...keys);
+
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'enrichment_cache_invalidated',
+      namespace,
+      id,
+      removed,
+      timestamp: new Date().toISOString()
+    }));
+
+    return removed;
+  } catch (error) {
+    console.error('Error invalidating enrichment cache:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get hit/miss counts per namespace
+ * @returns {Promise<Object>} - { namespace: { hits, misses, hit_rate } }
+ */
+async function getCacheStats() {
+  const namespaces = Object.values(CACHE_NAMESPACES);
+  const keys = namespaces.flatMap(namespace => [`${PREFIX.STATS}${namespace}:hits`, `${PREFIX.STATS}${namespace}:misses`]);
+  const values = await getStorageBackend().mget(...keys);
+
+  const stats = {};
+  namespaces.forEach((namespace, index) => {
+    const hits = Number(values[index * 2]) || 0;
+    const misses = Number(values[index * 2 + 1]) || 0;
+    stats[namespace] = {
+      hits,
+      misses,
+      hit_rate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null
+    };
+  });
+  return stats;
+}
+
+module.exports = {
+  CACHE_NAMESPACES,
+  getCacheTtlSeconds,
+  cached,
+  cachedMany,
+  invalidate,
+  getCacheStats
+};
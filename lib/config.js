@@ -2,6 +2,13 @@
  * Centralized configuration and environment variable validation
  * This file validates critical environment variables at application startup
  */
+const { parseSignatureKeys } = require('./signature');
+const { parseDestinationsConfig } = require('./destinations');
+const { BACKENDS } = require('./storage-backends');
+const { parseRetentionByType } = require('./retention');
+const { parseLowStockThresholds } = require('./inventory');
+const { parseTenants } = require('./tenants');
+const { loadGA4MappingFile } = require('./ga4-mapping');
 
 /**
  * Environment variable configuration with validation rules
@@ -9,24 +16,93 @@
 const CONFIG = {
   // Square API Configuration
   SQUARE_SIGNATURE_KEY: {
-    required: true,
+    required: () => !process.env.SQUARE_SIGNATURE_KEYS && !process.env.SQUARE_TENANTS,
     description: 'Webhook signature key from Square dashboard',
     validate: value => typeof value === 'string' && value.length > 0
   },
+  SQUARE_SIGNATURE_KEYS: {
+    required: false,
+    description: 'JSON array of signature keys for rotation: [{ "id", "key", "not_after" }], tried in order',
+    validate: value => {
+      try {
+        return parseSignatureKeys(value).length > 0;
+      } catch (error) {
+        return false;
+      }
+    }
+  },
+  SQUARE_SIGNATURE_SCHEME: {
+    // An unknown scheme would reject every webhook, so a set value must be valid
+    required: () => !!process.env.SQUARE_SIGNATURE_SCHEME,
+    description: 'Signature scheme: square (notification URL + body, base64) or legacy (body only, hex)',
+    default: 'square',
+    validate: value => ['square', 'legacy'].includes(value)
+  },
+  SQUARE_NOTIFICATION_URL: {
+    required: () => process.env.SQUARE_SIGNATURE_SCHEME === 'square',
+    description: 'Notification URL registered for the webhook subscription in Square',
+    validate: value => typeof value === 'string' && value.includes('://')
+  },
   SQUARE_ACCESS_TOKEN: {
-    required: true,
-    description: 'Access token for Square API',
+    required: () => !process.env.SQUARE_TENANTS,
+    description: 'Access token for Square API (used for merchants without a tenant entry)',
+    validate: value => typeof value === 'string' && value.length > 0
+  },
+  SQUARE_TENANTS: {
+    required: false,
+    description: 'JSON array of sellers keyed by merchant_id: [{ "merchant_id", "access_token", "refresh_token", "signature_keys", "destinations", "high_value_threshold" }]',
+    validate: value => {
+      try {
+        parseTenants(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+  },
+  
+  SQUARE_APPLICATION_ID: {
+    required: false,
+    description: 'Square application ID, used to refresh OAuth access tokens',
+    validate: value => typeof value === 'string' && value.length > 0
+  },
+  SQUARE_APPLICATION_SECRET: {
+    required: false,
+    description: 'Square application secret, used to refresh OAuth access tokens',
     validate: value => typeof value === 'string' && value.length > 0
   },
+  OAUTH_REFRESH_BEFORE_HOURS: {
+    required: false,
+    description: 'How long before expiry an OAuth access token is refreshed',
+    default: '168',
+    validate: value => Number(value) > 0
+  },
   
-  // Vercel KV Storage Configuration
+  // Storage Configuration
+  STORAGE_BACKEND: {
+    required: false,
+    description: 'Storage backend: vercel-kv, redis (self-hosted) or memory (local runs and tests, not persistent)',
+    default: 'vercel-kv',
+    validate: value => Object.keys(BACKENDS).includes(value)
+  },
+  REDIS_URL: {
+    required: () => process.env.STORAGE_BACKEND === 'redis',
+    description: 'Redis connection URL for the redis storage backend',
+    validate: value => typeof value === 'string' && /^rediss?:\/\//.test(value)
+  },
+  REDIS_POOL_SIZE: {
+    required: false,
+    description: 'Number of pooled Redis connections',
+    default: '4',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0
+  },
   KV_REST_API_URL: {
-    required: true,
+    required: () => process.env.STORAGE_BACKEND === 'vercel-kv',
     description: 'Vercel KV Storage REST API URL',
     validate: value => typeof value === 'string' && value.includes('://')
   },
   KV_REST_API_TOKEN: {
-    required: true,
+    required: () => process.env.STORAGE_BACKEND === 'vercel-kv',
     description: 'Vercel KV Storage REST API Token',
     validate: value => typeof value === 'string' && value.length > 0
   },
@@ -37,6 +113,47 @@ const CONFIG = {
     description: 'Server GTM endpoint',
     validate: value => typeof value === 'string' && value.includes('://')
   },
+  GA4_MEASUREMENT_ID: {
+    required: () => !!process.env.GA4_API_SECRET,
+    description: 'GA4 measurement ID (G-XXXXXXX) for direct Measurement Protocol delivery',
+    validate: value => /^G-[A-Z0-9]+$/i.test(value)
+  },
+  GA4_API_SECRET: {
+    required: () => !!process.env.GA4_MEASUREMENT_ID,
+    description: 'Measurement Protocol API secret for the GA4 property',
+    validate: value => typeof value === 'string' && value.length > 0
+  },
+  GA4_MP_DEBUG: {
+    required: false,
+    description: 'Send Measurement Protocol hits to the validation endpoint instead (true/false)',
+    default: 'false',
+    validate: value => ['true', 'false'].includes(value)
+  },
+  GA4_MAPPING_FILE: {
+    // An invalid mapping fails startup rather than silently sending the built-in event names
+    required: () => !!process.env.GA4_MAPPING_FILE,
+    description: 'JSON file with Square-to-GA4 event renames, conditions and parameters (path relative to the project root)',
+    validate: value => {
+      try {
+        loadGA4MappingFile(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+  },
+  GA4_PURCHASE_STATE_DAYS: {
+    required: false,
+    description: 'How long the GA4 purchase tracker remembers reported orders and refunds',
+    default: '365',
+    validate: value => Number(value) > 0
+  },
+  GA4_IDENTITY_DAYS: {
+    required: false,
+    description: 'How long client IDs kept per customer and captured at checkout are remembered',
+    default: '730',
+    validate: value => Number(value) > 0
+  },
   CRM_WEBHOOK_URL: {
     required: false,
     description: 'CRM webhook URL',
@@ -48,6 +165,33 @@ const CONFIG = {
     validate: value => !value || (typeof value === 'string' && value.includes('://'))
   },
   
+  DESTINATIONS_CONFIG: {
+    required: false,
+    description: 'JSON array of extra HTTP destinations: [{ "name", "url", "event_types", "format", "headers", "timeout_ms", "retry" }]',
+    validate: value => {
+      try {
+        parseDestinationsConfig(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+  },
+  
+  // Standalone Server Configuration
+  PORT: {
+    required: false,
+    description: 'Port for the standalone server (npm start)',
+    default: '3000',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0
+  },
+  ENABLE_SCHEDULER: {
+    required: false,
+    description: 'Run the vercel.json cron jobs inside the standalone server',
+    default: 'true',
+    validate: value => ['true', 'false'].includes(value)
+  },
+  
   // Application Configuration
   NODE_ENV: {
     required: false,
@@ -61,18 +205,151 @@ const CONFIG = {
     default: '100',
     validate: value => !value || !isNaN(Number(value))
   },
+  ENRICHMENT_CACHE_TTL_SECONDS: {
+    required: false,
+    description: 'TTL for cached Square lookups (orders, customers, catalog); 0 disables the cache',
+    default: '300',
+    validate: value => Number.isInteger(Number(value)) && Number(value) >= 0
+  },
+  SQUARE_MAX_RETRIES: {
+    required: false,
+    description: 'Retries for Square API calls that fail with 429, 5xx or a network error',
+    default: '3',
+    validate: value => Number.isInteger(Number(value)) && Number(value) >= 0
+  },
+  SQUARE_MAX_RETRY_DELAY_MS: {
+    required: false,
+    description: 'Longest wait before a Square API retry; a longer Retry-After fails the call instead',
+    default: '5000',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0
+  },
+  SQUARE_MAX_CONCURRENCY: {
+    required: false,
+    description: 'Maximum concurrent Square API calls per instance',
+    default: '4',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0
+  },
+  SQUARE_BREAKER_THRESHOLD: {
+    required: false,
+    description: 'Consecutive failed Square API calls that open the circuit breaker',
+    default: '5',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0
+  },
+  SQUARE_BREAKER_COOLDOWN_SECONDS: {
+    required: false,
+    description: 'How long the open circuit breaker skips Square API calls before a trial call',
+    default: '30',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0
+  },
+  LOW_STOCK_THRESHOLDS: {
+    required: false,
+    description: 'JSON low-stock thresholds: { "default", "locations": { id: n }, "items": { variation_id: n } }',
+    validate: value => {
+      try {
+        parseLowStockThresholds(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+  },
+  LOW_STOCK_ALERT_DEBOUNCE_MINUTES: {
+    required: false,
+    description: 'Minimum time between low-stock alerts for the same item at the same location',
+    default: '360',
+    validate: value => !isNaN(Number(value)) && Number(value) > 0
+  },
   DASHBOARD_API_KEY: {
     required: false,
     description: 'API key for dashboard access',
     validate: value => !value || (typeof value === 'string' && value.length > 10)
   },
+  IDENTITY_API_KEY: {
+    required: false,
+    description: 'API key for recording checkout client IDs through /api/checkout-identity',
+    validate: value => !value || (typeof value === 'string' && value.length > 10)
+  },
   RETRY_SECRET_KEY: {
     required: false,
     description: 'Secret key for retry endpoint',
     validate: value => !value || (typeof value === 'string' && value.length > 10)
+  },
+  CRON_SECRET: {
+    required: false,
+    description: 'Bearer token Vercel sends with cron requests; required by /api/refresh-tokens',
+    validate: value => !value || (typeof value === 'string' && value.length > 10)
+  },
+  EVENT_RETENTION_HOURS: {
+    required: false,
+    description: 'How long processed event markers are kept for duplicate detection (Square redelivers for up to 72h)',
+    default: '72',
+    validate: value => !isNaN(Number(value)) && Number(value) > 0
+  },
+  EVENT_RETENTION_BY_TYPE: {
+    required: false,
+    description: 'JSON object of per-event-type retention in hours, e.g. { "order.*": 168 }',
+    validate: value => {
+      try {
+        parseRetentionByType(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+  },
+  IDEMPOTENCY_LEASE_SECONDS: {
+    required: false,
+    description: 'How long a reserved event blocks redeliveries before it becomes eligible again if never committed',
+    default: '120',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0
+  },
+  QUEUE_VISIBILITY_TIMEOUT_MS: {
+    required: false,
+    description: 'How long a claimed queue event stays hidden from other workers before it is retried',
+    default: '60000',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0
+  },
+  QUEUE_MAX_ATTEMPTS: {
+    required: false,
+    description: 'Queue processing attempts before an event moves to the failed-events store',
+    default: '5',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0
+  },
+  QUEUE_WORKER_INTERVAL_MS: {
+    required: false,
+    description: 'Poll interval of the standalone server queue worker (0 disables it)',
+    default: '5000',
+    validate: value => Number.isInteger(Number(value)) && Number(value) >= 0
+  },
+  RETRY_BASE_DELAY_SECONDS: {
+    required: false,
+    description: 'Delay before the first retry of a failed event',
+    default: '300',
+    validate: value => !isNaN(Number(value)) && Number(value) > 0
+  },
+  RETRY_MAX_DELAY_SECONDS: {
+    required: false,
+    description: 'Upper bound for the retry backoff delay',
+    default: '21600',
+    validate: value => !isNaN(Number(value)) && Number(value) > 0
+  },
+  RETRY_MAX_ATTEMPTS: {
+    required: false,
+    description: 'Retries before a failed event moves to the dead-letter set',
+    default: '5',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0
   }
 };
 
+/**
+ * Resolve whether a variable is required; rules may depend on other variables
+ * @param {Object} config - Configuration rule
+ * @returns {boolean} - True if the variable is required
+ */
+function isRequired(config) {
+  return typeof config.required === 'function' ? config.required() : !!config.required;
+}
+
 /**
  * Validate all environment variables
  * @returns {Object} - Validation results with any errors
@@ -85,8 +362,10 @@ function validateConfig() {
   };
   
   for (const [key, config] of Object.entries(CONFIG)) {
+    const required = isRequired(config);
+    
     // Check if required variables exist
-    if (config.required && !process.env[key]) {
+    if (required && !process.env[key]) {
       results.isValid = false;
       results.errors.push({
         key,
@@ -103,7 +382,7 @@ function validateConfig() {
     
     // Validate value if present
     if (process.env[key] && config.validate && !config.validate(process.env[key])) {
-      if (config.required) {
+      if (required) {
         results.isValid = false;
         results.errors.push({
           key,
@@ -0,0 +1,298 @@
+/**
+ * Destination registry for event fan-out
+ * Each destination declares which events it wants, how to shape the payload and how to send it.
+ * Built-in destinations are registered on load; extra HTTP destinations come from DESTINATIONS_CONFIG.
+ */
+const {
+  transformForGA4,
+  postJSON,
+  postToServerGTM,
+  getGA4MeasurementProtocolConfig,
+  postToGA4MeasurementProtocol,
+  buildCRMPayload,
+  postToCRM,
+  buildHighValueOrderAlert,
+  postNotification,
+  logToAnalyticsDashboard
+} = require('./gtm-api');
+const { matchesEventType } = require('./event-types');
+const { buildLowStockAlert, sendLowStockAlert } = require('./inventory');
+const { isDestinationEnabledForTenant, getTenantDestinationUrl } = require('./tenants');
+const { getPurchaseDecision, applyPurchaseDecision } = require('./purchase-tracker');
+const { resolveIdentity } = require('./identity');
+
+/**
+ * Default retry policy: a single attempt, no in-call retries
+ */
+const DEFAULT_RETRY = { attempts: 1, backoffMs: 500 };
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_HIGH_VALUE_THRESHOLD = 100;
+
+// Registered destinations keyed by name, in registration order
+const registry = new Map();
+let configLoaded = false;
+
+/**
+ * Helper function to get order value
+ * @param {Object} webhookData - The webhook data
+ * @returns {number} - Order value in dollars/cents
+ */
+function getOrderValue(webhookData) {
+  // For order events
+  if (webhookData.type?.startsWith('order.') && webhookData.data?.object?.total_money?.amount) {
+    return webhookData.data.object.total_money.amount / 100;
+  }
+
+  // For payment events
+  if (webhookData.type?.startsWith('payment.') && webhookData.data?.object?.amount_money?.amount) {
+    return webhookData.data.object.amount_money.amount / 100;
+  }
+
+  return 0;
+}
+
+/**
+ * Get the order value above which the notification destination alerts
+ * @param {Object} tenant - The merchant's tenant
+ * @returns {number} - Threshold in dollars
+ */
+function getHighValueThreshold(tenant) {
+  return tenant?.highValueThreshold ?? (Number(process.env.HIGH_VALUE_THRESHOLD) || DEFAULT_HIGH_VALUE_THRESHOLD);
+}
+
+/**
+ * Build the GA4 event for a destination
+ * enrichedData is the enriched copy of the webhook; GA4 params read the Square lookups
+ * (order, customer, payment) from its enriched block. The customer's user_id and client_id come
+ * from identity resolution, and the purchase tracker makes sure each order is reported as a
+ * purchase once.
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} enrichedData - Enriched data from Square API
+ * @returns {Promise<Object|null>} - GA4-formatted event data, or null if nothing should be sent
+ */
+async function toGA4(webhookData, enrichedData) {
+  const data = { ...webhookData, enriched: enrichedData?.enriched || null };
+  const ga4Event = transformForGA4({ ...data, identity: await resolveIdentity(data) });
+  if (!ga4Event) return ga4Event;
+
+  return applyPurchaseDecision(ga4Event, await getPurchaseDecision(data));
+}
+
+/**
+ * Register a destination
+ * @param {Object} destination - Destination definition
+ * @param {string} destination.name - Unique name, used in logs and delivery records
+ * @param {Array<string>} destination.eventTypes - Event type patterns (default: all events)
+ * @param {Function} destination.enabled - (tenant) => boolean, e.g. checks that the URL is configured
+ * @param {Function} destination.filter - (webhookData, enrichedData, tenant) => boolean, extra per-event predicate
+ * @param {Function} destination.transform - (webhookData, enrichedData) => payload or a promise of one; null skips delivery
+ * @param {Function} destination.send - async (payload, webhookData, tenant) => response
+ * @param {number} destination.timeoutMs - Timeout per attempt
+ * @param {Object} destination.retry - { attempts, backoffMs } for in-call retries
+ * @param {boolean} destination.idempotent - False if a repeated send would double-count;
+ *   such destinations are never re-sent after a timeout or an unfinished attempt
+ * @returns {Object} - The normalized destination
+ */
+function registerDestination(destination) {
+  if (!destination || !destination.name) {
+    throw new Error('Destination must have a name');
+  }
+  if (typeof destination.send !== 'function') {
+    throw new Error(`Destination ${destination.name} must have a send function`);
+  }
+
+  const normalized = {
+    eventTypes: ['*'],
+    enabled: () => true,
+    filter: () => true,
+    transform: (webhookData, enrichedData) => ({ ...webhookData, enriched: enrichedData }),
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    idempotent: true,
+    ...destination,
+    retry: { ...DEFAULT_RETRY, ...destination.retry }
+  };
+
+  registry.set(normalized.name, normalized);
+  return normalized;
+}
+
+/**
+ * Remove a destination from the registry
+ * @param {string} name - Destination name
+ * @returns {boolean} - True if a destination was removed
+ */
+function unregisterDestination(name) {
+  return registry.delete(name);
+}
+
+/**
+ * Parse the DESTINATIONS_CONFIG value
+ * Format: JSON array of
+ *   { name, url, event_types?, format?: 'crm' | 'ga4' | 'raw', headers?, timeout_ms?, idempotent?, retry?: { attempts, backoff_ms } }
+ * @param {string} value - The raw JSON value
+ * @returns {Array<Object>} - Destination definitions ready for registerDestination
+ * @throws {Error} - If the config is malformed
+ */
+function parseDestinationsConfig(value) {
+  const entries = JSON.parse(value);
+  if (!Array.isArray(entries)) {
+    throw new Error('DESTINATIONS_CONFIG must be a JSON array');
+  }
+
+  const transforms = {
+    crm: buildCRMPayload,
+    ga4: toGA4,
+    raw: (webhookData, enrichedData) => ({ ...webhookData, enriched: enrichedData })
+  };
+
+  return entries.map((entry, index) => {
+    if (!entry || !entry.name) {
+      throw new Error(`Destination at index ${index} is missing a name`);
+    }
+    if (typeof entry.url !== 'string' || !entry.url.includes('://')) {
+      throw new Error(`Destination ${entry.name} has an invalid url`);
+    }
+
+    const format = entry.format || 'crm';
+    if (!transforms[format]) {
+      throw new Error(`Destination ${entry.name} has an unknown format: ${format}`);
+    }
+
+    const timeoutMs = Number(entry.timeout_ms) || DEFAULT_TIMEOUT_MS;
+
+    return {
+      name: entry.name,
+      eventTypes: entry.event_types || ['*'],
+      transform: transforms[format],
+      send: async (payload, webhookData, tenant) => {
+        const url = getTenantDestinationUrl(tenant, entry.name, entry.url);
+        const response = await postJSON(url, payload, { timeout: timeoutMs, headers: entry.headers });
+        return response.data;
+      },
+      timeoutMs,
+      idempotent: entry.idempotent !== false,
+      retry: {
+        attempts: Number(entry.retry?.attempts) || DEFAULT_RETRY.attempts,
+        backoffMs: Number(entry.retry?.backoff_ms) || DEFAULT_RETRY.backoffMs
+      }
+    };
+  });
+}
+
+/**
+ * Register destinations from DESTINATIONS_CONFIG once
+ */
+function loadConfiguredDestinations() {
+  if (configLoaded) return;
+  configLoaded = true;
+
+  if (!process.env.DESTINATIONS_CONFIG) return;
+
+  try {
+    parseDestinationsConfig(process.env.DESTINATIONS_CONFIG).forEach(registerDestination);
+  } catch (error) {
+    console.error('Invalid DESTINATIONS_CONFIG:', error.message);
+  }
+}
+
+/**
+ * Get all registered destinations
+ * @returns {Array<Object>} - Destinations in registration order
+ */
+function getDestinations() {
+  loadConfiguredDestinations();
+  return Array.from(registry.values());
+}
+
+/**
+ * Get the destinations that should receive an event
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} enrichedData - Enriched data from Square API
+ * @param {Object} tenant - The merchant's tenant; it can turn destinations off or point them elsewhere
+ * @returns {Array<Object>} - Matching, enabled destinations
+ */
+function getDestinationsForEvent(webhookData, enrichedData, tenant = null) {
+  return getDestinations().filter(destination =>
+    isDestinationEnabledForTenant(tenant, destination.name) &&
+    destination.enabled(tenant) &&
+    matchesEventType(destination.eventTypes, webhookData.type) &&
+    destination.filter(webhookData, enrichedData, tenant)
+  );
+}
+
+// Built-in destinations
+
+registerDestination({
+  name: 'gtm',
+  enabled: tenant => !!getTenantDestinationUrl(tenant, 'gtm', process.env.GTM_SERVER_URL),
+  transform: toGA4,
+  send: postToServerGTM,
+  timeoutMs: 8000, // GTM might need a bit more time
+  // GA4 counts every hit, so a request that may have landed is never re-posted
+  idempotent: false,
+  retry: { attempts: 1 }
+});
+
+registerDestination({
+  name: 'ga4_mp',
+  enabled: tenant => {
+    const { measurementId, apiSecret } = getGA4MeasurementProtocolConfig(tenant);
+    return !!measurementId && !!apiSecret;
+  },
+  transform: toGA4,
+  send: postToGA4MeasurementProtocol,
+  timeoutMs: 8000,
+  // Same as gtm: GA4 counts every hit
+  idempotent: false,
+  retry: { attempts: 1 }
+});
+
+registerDestination({
+  name: 'crm',
+  enabled: tenant => !!getTenantDestinationUrl(tenant, 'crm', process.env.CRM_WEBHOOK_URL),
+  transform: buildCRMPayload,
+  send: postToCRM,
+  timeoutMs: 5000,
+  retry: { attempts: 3, backoffMs: 500 }
+});
+
+registerDestination({
+  name: 'notification',
+  eventTypes: ['order.*', 'payment.*'],
+  enabled: tenant => !!getTenantDestinationUrl(tenant, 'notification', process.env.NOTIFICATION_WEBHOOK_URL),
+  filter: (webhookData, enrichedData, tenant) => getOrderValue(webhookData) > getHighValueThreshold(tenant),
+  transform: buildHighValueOrderAlert,
+  send: (payload, webhookData, tenant) => postNotification(payload, tenant),
+  timeoutMs: 5000,
+  retry: { attempts: 2, backoffMs: 1000 }
+});
+
+registerDestination({
+  name: 'low_stock',
+  eventTypes: ['inventory.count.updated'],
+  // Shares the notification channel, including a tenant's notification URL
+  enabled: tenant => !!getTenantDestinationUrl(tenant, 'notification', process.env.NOTIFICATION_WEBHOOK_URL) &&
+    !!process.env.LOW_STOCK_THRESHOLDS,
+  transform: buildLowStockAlert,
+  send: sendLowStockAlert,
+  timeoutMs: 5000,
+  retry: { attempts: 2, backoffMs: 1000 }
+});
+
+registerDestination({
+  name: 'dashboard',
+  transform: webhookData => webhookData,
+  send: logToAnalyticsDashboard,
+  timeoutMs: 3000 // Internal, so shorter timeout
+});
+
+module.exports = {
+  registerDestination,
+  unregisterDestination,
+  parseDestinationsConfig,
+  getDestinations,
+  getDestinationsForEvent,
+  matchesEventType,
+  getOrderValue,
+  getHighValueThreshold
+};
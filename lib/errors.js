@@ -0,0 +1,51 @@
+/**
+ * Error classes shared by the webhook processing pipeline
+ */
+
+/**
+ * Error for payloads that will never succeed, no matter how often they are retried
+ * @param {string} message - Error message
+ * @param {Array<Object>} errors - Field-level errors as [{ path, message }]
+ */
+class ValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.permanent = true; // Will never succeed with retry
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error for temporary failures (timeouts, unavailable services) that are worth retrying
+ */
+class TransientError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransientError';
+    this.retryable = true;
+  }
+}
+
+/**
+ * Classify an error for retry handling
+ * @param {Error} error - The error to classify
+ * @returns {string} - 'permanent', 'retryable' or 'unknown'
+ */
+function classifyError(error) {
+  if (error?.permanent) {
+    return 'permanent';
+  }
+
+  if (error?.retryable || error?.code === 'ECONNRESET' || error?.code === 'ETIMEDOUT') {
+    return 'retryable';
+  }
+
+  return 'unknown';
+}
+
+module.exports = {
+  ValidationError,
+  TransientError,
+  classifyError
+};
@@ -0,0 +1,22 @@
+/**
+ * Event type matching shared by destinations and retention rules
+ */
+
+/**
+ * Check an event type against a list of patterns
+ * Patterns are exact types ('order.created'), prefixes ('order.*') or '*'
+ * @param {Array<string>} patterns - Event type patterns
+ * @param {string} eventType - The Square event type
+ * @returns {boolean} - True if any pattern matches
+ */
+function matchesEventType(patterns, eventType) {
+  return patterns.some(pattern => {
+    if (pattern === '*') return true;
+    if (pattern.endsWith('.*')) return eventType?.startsWith(pattern.slice(0, -1));
+    return pattern === eventType;
+  });
+}
+
+module.exports = {
+  matchesEventType
+};
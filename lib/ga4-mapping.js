@@ -0,0 +1,305 @@
+/**
+ * Declarative Square-to-GA4 event mapping
+ * Marketing can rename GA4 events, add conditions and parameters in a JSON file
+ * (GA4_MAPPING_FILE) instead of code. The file is re-read when it changes; an invalid
+ * edit is logged and the last valid mapping stays in use.
+ */
+const fs = require('fs');
+const path = require('path');
+const { matchesEventType } = require('./event-types');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// GA4 event and parameter names: a letter, then letters, digits or underscores, up to 40 characters
+const GA4_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const CONDITION_PATTERN = /^\s*(!?)([A-Za-z0-9_.]+)\s*(?:(==|!=|>=|<=|>|<)\s*(.+?))?\s*$/;
+
+/**
+ * Path roots a condition or parameter can read from; a path without one reads the Square object
+ * - event: the webhook envelope
+ * - object: data.object
+ * - enriched: the enrichment block (order, customer, payment, catalog)
+ * - params: the GA4 params built in code
+ */
+const PATH_ROOTS = ['event', 'object', 'enriched', 'params'];
+
+// Last valid mapping and the file state it was read from
+let loaded = { file: null, mtimeMs: null, mapping: null };
+
+/**
+ * Parse a literal from a condition
+ * @param {string} raw - Literal text: quoted string, number, true, false, null or a bare word
+ * @returns {any} - The value
+ */
+function parseLiteral(raw) {
+  if (/^(['"]).*\1$/.test(raw)) return raw.slice(1, -1);
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw === 'null') return null;
+  if (raw !== '' && !isNaN(Number(raw))) return Number(raw);
+  return raw;
+}
+
+/**
+ * Parse a condition such as `state == COMPLETED`, `total_money.amount > 10000` or `customer_id`
+ * A bare path checks that the value is present; `!path` that it is missing
+ * @param {string} condition - Condition text
+ * @returns {Object} - { path, negate, operator, value }
+ * @throws {Error} - If the condition is malformed
+ */
+function parseCondition(condition) {
+  const match = typeof condition === 'string' ? condition.match(CONDITION_PATTERN) : null;
+  if (!match || (match[1] && match[3])) {
+    throw new Error(`Invalid condition: ${condition}`);
+  }
+
+  const [, negate, conditionPath, operator, value] = match;
+  return {
+    path: conditionPath,
+    negate: !!negate,
+    operator: operator || null,
+    value: operator ? parseLiteral(value) : null
+  };
+}
+
+/**
+ * Validate a GA4 name
+ * @param {string} name - Event or parameter name
+ * @param {string} label - What the name is, for the error message
+ * @throws {Error} - If the name isn't a valid GA4 name
+ */
+function assertGA4Name(name, label) {
+  if (typeof name !== 'string' || !GA4_NAME_PATTERN.test(name)) {
+    throw new Error(`${label} must be a GA4 name (letters, digits, underscores, up to 40 characters): ${name}`);
+  }
+}
+
+/**
+ * Parse one mapping rule
+ * @param {Object} rule - { when?, name?, params?, drop? }
+ * @param {string} label - Where the rule is, for error messages
+ * @returns {Object} - { conditions, name, params, drop }
+ * @throws {Error} - If the rule is malformed
+ */
+function parseRule(rule, label) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (rule.name === undefined && rule.params === undefined && !rule.drop) {
+    throw new Error(`${label} needs a name, params or drop`);
+  }
+
+  const when = rule.when === undefined ? [] : [].concat(rule.when);
+  const conditions = when.map(condition => parseCondition(condition));
+
+  if (rule.name !== undefined) {
+    assertGA4Name(rule.name, `${label}.name`);
+  }
+
+  const params = rule.params || {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error(`${label}.params must be an object`);
+  }
+  for (const [param, value] of Object.entries(params)) {
+    assertGA4Name(param, `${label}.params key`);
+    const isScalar = value === null || ['string', 'number', 'boolean'].includes(typeof value);
+    const isPath = !!value && typeof value === 'object' && typeof value.path === 'string' && value.path.length > 0;
+    if (!isScalar && !isPath) {
+      throw new Error(`${label}.params.${param} must be a static value or { "path": "..." }`);
+    }
+  }
+
+  return { conditions, name: rule.name || null, params, drop: !!rule.drop };
+}
+
+/**
+ * Parse and validate a mapping
+ * Format: { "events": { "<event type or prefix.*>": rule | [rule, ...] } }
+ *   rule: { "when": "state == COMPLETED" | [...], "name": "purchase",
+ *           "params": { "<param>": <static value> | { "path": "order_id", "default": <value> } },
+ *           "drop": true }
+ * The first rule whose conditions all hold is applied
+ * @param {Object} value - Parsed JSON
+ * @returns {Object} - { entries: [{ pattern, rules }] }
+ * @throws {Error} - If the mapping is malformed
+ */
+function parseGA4Mapping(value) {
+  if (!value || typeof value !== 'object' || !value.events || typeof value.events !== 'object' || Array.isArray(value.events)) {
+    throw new Error('GA4 mapping must be an object with an "events" object');
+  }
+
+  const entries = Object.entries(value.events).map(([pattern, rules]) => ({
+    pattern,
+    rules: [].concat(rules).map((rule, index) => parseRule(rule, `events["${pattern}"][${index}]`))
+  }));
+
+  return { entries };
+}
+
+/**
+ * Read and validate a mapping file
+ * @param {string} filePath - Absolute path, or relative to the project root
+ * @returns {Object} - Parsed mapping
+ * @throws {Error} - If the file is missing, not JSON or invalid
+ */
+function loadGA4MappingFile(filePath) {
+  const resolved = path.resolve(ROOT_DIR, filePath);
+  return parseGA4Mapping(JSON.parse(fs.readFileSync(resolved, 'utf8')));
+}
+
+/**
+ * Get the configured mapping, re-reading the file when it has changed
+ * @returns {Object|null} - Parsed mapping, or null if none is configured or none is valid yet
+ */
+function getGA4Mapping() {
+  const file = process.env.GA4_MAPPING_FILE;
+  if (!file) return null;
+
+  try {
+    const resolved = path.resolve(ROOT_DIR, file);
+    const { mtimeMs } = fs.statSync(resolved);
+    if (loaded.file === resolved && loaded.mtimeMs === mtimeMs) {
+      return loaded.mapping;
+    }
+
+    const mapping = loadGA4MappingFile(resolved);
+    const reloaded = loaded.file === resolved;
+    loaded = { file: resolved, mtimeMs, mapping };
+
+    console.log(JSON.stringify({
+      level: 'info',
+      event: reloaded ? 'ga4_mapping_reloaded' : 'ga4_mapping_loaded',
+      file: resolved,
+      event_types: mapping.entries.map(entry => entry.pattern),
+      timestamp: new Date().toISOString()
+    }));
+  } catch (error) {
+    // Keep serving the last valid mapping; only log each broken revision once
+    const resolved = path.resolve(ROOT_DIR, file);
+    let mtimeMs = null;
+    try {
+      mtimeMs = fs.statSync(resolved).mtimeMs;
+    } catch (statError) {
+      // Missing file; logged below
+    }
+    if (loaded.file !== resolved || loaded.mtimeMs !== mtimeMs) {
+      console.error(JSON.stringify({
+        level: 'error',
+        event: 'ga4_mapping_invalid',
+        file: resolved,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }));
+      loaded = { file: resolved, mtimeMs, mapping: loaded.file === resolved ? loaded.mapping : null };
+    }
+  }
+
+  return loaded.mapping;
+}
+
+/**
+ * Read a dotted path from the mapping context
+ * @param {Object} context - { event, object, enriched, params }
+ * @param {string} valuePath - e.g. 'state', 'enriched.customer.id', 'line_items.0.name'
+ * @returns {any} - The value, or undefined
+ */
+function resolvePath(context, valuePath) {
+  const parts = valuePath.split('.');
+  const root = PATH_ROOTS.includes(parts[0]) ? parts.shift() : 'object';
+  return parts.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[root]);
+}
+
+/**
+ * Check one condition
+ * @param {Object} condition - Parsed condition
+ * @param {Object} context - Mapping context
+ * @returns {boolean} - True if the condition holds
+ */
+function matchesCondition(condition, context) {
+  const actual = resolvePath(context, condition.path);
+
+  if (!condition.operator) {
+    const present = actual !== undefined && actual !== null && actual !== '';
+    return condition.negate ? !present : present;
+  }
+
+  switch (condition.operator) {
+    case '==':
+      return String(actual) === String(condition.value);
+    case '!=':
+      return String(actual) !== String(condition.value);
+    case '>':
+      return Number(actual) > Number(condition.value);
+    case '>=':
+      return Number(actual) >= Number(condition.value);
+    case '<':
+      return Number(actual) < Number(condition.value);
+    case '<=':
+      return Number(actual) <= Number(condition.value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the mapping entry for an event type: an exact type wins over the longest matching pattern
+ * @param {Object} mapping - Parsed mapping
+ * @param {string} eventType - The Square event type
+ * @returns {Object|null} - { pattern, rules }
+ */
+function findEntry(mapping, eventType) {
+  return mapping.entries.find(entry => entry.pattern === eventType) ||
+    mapping.entries
+      .filter(entry => matchesEventType([entry.pattern], eventType))
+      .sort((a, b) => b.pattern.length - a.pattern.length)[0] ||
+    null;
+}
+
+/**
+ * Apply the configured mapping to a GA4 event built by transformForGA4
+ * @param {Object} ga4Event - GA4 payload
+ * @param {Object} webhookData - The webhook data with its enriched block
+ * @param {Object} mapping - Parsed mapping (defaults to the configured one)
+ * @returns {Object|null} - The mapped payload, or null if a rule drops the event
+ */
+function applyGA4Mapping(ga4Event, webhookData, mapping = getGA4Mapping()) {
+  if (!mapping || !ga4Event) return ga4Event;
+
+  const entry = findEntry(mapping, webhookData.type);
+  if (!entry) return ga4Event;
+
+  const event = ga4Event.events[0];
+  const context = {
+    event: webhookData,
+    object: webhookData.data?.object || {},
+    enriched: webhookData.enriched || {},
+    params: event.params
+  };
+
+  const rule = entry.rules.find(candidate => candidate.conditions.every(condition => matchesCondition(condition, context)));
+  if (!rule) return ga4Event;
+  if (rule.drop) return null;
+
+  const params = { ...event.params };
+  for (const [param, value] of Object.entries(rule.params)) {
+    const resolved = value !== null && typeof value === 'object'
+      ? resolvePath(context, value.path) ?? value.default
+      : value;
+    if (resolved !== undefined) {
+      params[param] = resolved;
+    }
+  }
+
+  return {
+    ...ga4Event,
+    events: [{ ...event, name: rule.name || event.name, params }, ...ga4Event.events.slice(1)]
+  };
+}
+
+module.exports = {
+  parseCondition,
+  parseGA4Mapping,
+  loadGA4MappingFile,
+  getGA4Mapping,
+  applyGA4Mapping
+};
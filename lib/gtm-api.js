@@ -3,21 +3,52 @@
  */
 const axios = require('axios');
 const crypto = require('crypto');
+const { getTenantDestinationUrl, getTenantDestinationSetting } = require('./tenants');
+const { applyGA4Mapping } = require('./ga4-mapping');
+const { getCustomerId, getOrderId, getUserId } = require('./identity');
+
+const GA4_MP_URL = 'https://www.google-analytics.com/mp/collect';
+const GA4_MP_DEBUG_URL = 'https://www.google-analytics.com/debug/mp/collect';
+// Measurement Protocol accepts at most 25 events per request
+const GA4_MP_MAX_EVENTS = 25;
+
+/**
+ * Read a field from a Square object
+ * Enriched objects are SDK models (camelCase); webhook objects are snake_case
+ * @param {Object} object - Square object
+ * @param {string} name - Field name in snake_case
+ * @returns {any} - The value, or undefined
+ */
+function squareField(object, name) {
+  if (!object) return undefined;
+  const camelName = name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+  return object[camelName] !== undefined ? object[camelName] : object[name];
+}
+
+/**
+ * Get the amount of a Square money object in minor units
+ * @param {Object} money - { amount, currency }; SDK models carry the amount as a BigInt
+ * @returns {number|null} - Amount, or null without one
+ */
+function moneyAmount(money) {
+  return money?.amount === undefined || money?.amount === null ? null : Number(money.amount);
+}
 
 /**
  * Generate a privacy-friendly client ID for GA4
+ * Prefers the client ID resolved for the customer (lib/identity.js); otherwise events for the
+ * same customer or order share a hashed ID
  * @param {Object} webhookData - The webhook data
  * @returns {string} - A hashed client ID
  */
 function generateClientId(webhookData) {
-  // Handle different event types and extract unique identifier
+  if (webhookData.identity?.client_id) {
+    return webhookData.identity.client_id;
+  }
   
   // Check if we have customer data - best option for user identity
-  if (webhookData.data?.object?.customer_id || 
-      webhookData.enriched?.customer?.id) {
-    const customerId = webhookData.data?.object?.customer_id || 
-                      webhookData.enriched?.customer?.id;
-    
+  const customerId = getCustomerId(webhookData);
+  if (customerId) {
     // Hash the customer ID for privacy
     const hash = crypto.createHash('sha256')
       .update(customerId)
@@ -27,7 +58,18 @@ function generateClientId(webhookData) {
     return `customer_${hash}`;
   }
   
-  // For orders/payments - use order ID or payment ID
+  // Guest purchases: order, payment and refund events for one order share its ID
+  const orderId = getOrderId(webhookData);
+  if (orderId) {
+    const hash = crypto.createHash('sha256')
+      .update(orderId)
+      .digest('hex')
+      .substring(0, 16);
+    
+    return `order_${hash}`;
+  }
+  
+  // Other events - use the object ID
   if (webhookData.data?.object?.id) {
     const objectId = webhookData.data.object.id;
     const objectType = webhookData.type?.split('.')[0] || 'object';
@@ -68,7 +110,7 @@ function generateClientId(webhookData) {
 /**
  * Transform webhook data into GA4-compatible format
  * @param {Object} webhookData - The raw or enriched webhook data
- * @returns {Object} - GA4-formatted event data
+ * @returns {Object|null} - GA4-formatted event data, or null if the mapping drops the event
  */
 function transformForGA4(webhookData) {
   if (!webhookData || !webhookData.type) {
@@ -84,6 +126,10 @@ function transformForGA4(webhookData) {
   // Generate a privacy-friendly client ID
   const clientId = generateClientId(webhookData);
   
+  // Stable, hashed user ID for events tied to a Square customer
+  const customerId = getCustomerId(webhookData);
+  const userId = webhookData.identity?.user_id || (customerId ? getUserId(customerId) : null);
+  
   // Base event data structure
   const ga4Event = {
     client_id: clientId,
@@ -101,6 +147,10 @@ function transformForGA4(webhookData) {
       }
     ]
   };
+  
+  if (userId) {
+    ga4Event.user_id = userId;
+  }
 
   // Extract event-specific data
   const eventData = webhookData.data?.object;
@@ -108,7 +158,8 @@ function transformForGA4(webhookData) {
     addEventParams(ga4Event.events[0].params, webhookData.type, eventData, webhookData.enriched);
   }
   
-  return ga4Event;
+  // Renames, conditions and extra parameters from GA4_MAPPING_FILE; null drops the event
+  return applyGA4Mapping(ga4Event, webhookData);
 }
 
 /**
@@ -125,6 +176,7 @@ function mapEventName(squareEventType) {
     'payment.created': 'payment_received',
     'payment.updated': 'payment_updated',
     'refund.created': 'refund',
+    'refund.updated': 'refund_updated',
     'customer.created': 'new_customer',
     'customer.updated': 'customer_updated',
     'inventory.count.updated': 'inventory_updated'
@@ -160,6 +212,7 @@ function addEventParams(params, eventType, eventData, enrichedData) {
       break;
       
     case 'refund.created':
+    case 'refund.updated':
       addRefundParams(params, eventData, enrichedData);
       break;
       
@@ -168,6 +221,10 @@ function addEventParams(params, eventType, eventData, enrichedData) {
       addCustomerParams(params, eventData, enrichedData);
       break;
       
+    case 'inventory.count.updated':
+      addInventoryParams(params, eventData, enrichedData);
+      break;
+      
     default:
       // For other event types, add generic data
       Object.keys(eventData).forEach(key => {
@@ -187,38 +244,35 @@ function addEventParams(params, eventType, eventData, enrichedData) {
  */
 function addOrderParams(params, orderData, enrichedData) {
   // Use enriched data if available, otherwise use webhook data
-  const order = enrichedData?.order?.order || orderData;
+  const order = getEnrichedOrder(enrichedData) || orderData;
   const customer = enrichedData?.customer || null;
   
+  const totalMoney = squareField(order, 'total_money');
+  const taxMoney = squareField(order, 'total_tax_money');
+  const serviceChargeMoney = squareField(order, 'total_service_charge_money');
+  const lineItems = squareField(order, 'line_items');
+  
   params.transaction_id = order.id || '';
   params.affiliation = 'Square';
   
   // Add order total and currency
-  if (order.total_money) {
-    params.value = (order.total_money.amount || 0) / 100;
-    params.currency = order.total_money.currency || 'USD';
+  if (totalMoney) {
+    params.value = (moneyAmount(totalMoney) || 0) / 100;
+    params.currency = totalMoney.currency || 'USD';
   }
   
   // Add tax and shipping
-  if (order.total_tax_money) {
-    params.tax = (order.total_tax_money.amount || 0) / 100;
+  if (taxMoney) {
+    params.tax = (moneyAmount(taxMoney) || 0) / 100;
   }
   
-  if (order.total_service_charge_money) {
-    params.shipping = (order.total_service_charge_money.amount || 0) / 100;
+  if (serviceChargeMoney) {
+    params.shipping = (moneyAmount(serviceChargeMoney) || 0) / 100;
   }
   
   // Add items
-  if (order.line_items && order.line_items.length > 0) {
-    params.items = order.line_items.map(item => {
-      return {
-        item_id: item.catalog_object_id || '',
-        item_name: item.name || 'Unknown Item',
-        quantity: item.quantity || 1,
-        price: item.base_price_money ? (item.base_price_money.amount / 100) : 0,
-        item_category: item.variation_name || ''
-      };
-    });
+  if (lineItems && lineItems.length > 0) {
+    params.items = mapLineItems(lineItems, enrichedData?.catalog);
   }
   
   // Add anonymized customer data if available using our PII protection function
@@ -270,11 +324,17 @@ function addPaymentParams(params, paymentData, enrichedData) {
  * @param {Object} enrichedData - Optional enriched data
  */
 function addRefundParams(params, refundData, enrichedData) {
-  params.transaction_id = refundData.id || '';
+  const payment = enrichedData?.payment || null;
+  const order = enrichedData?.order?.order || null;
+  
+  // GA4 matches refunds to purchases by transaction_id, which is the order ID
+  params.transaction_id = refundData.order_id || squareField(payment, 'order_id') || refundData.id || '';
+  params.refund_id = refundData.id || '';
   params.refund_status = refundData.status || '';
   
   if (refundData.amount_money) {
-    params.value = (refundData.amount_money.amount || 0) / 100;
+    // Refunds reduce revenue, so the value is negative
+    params.value = -((refundData.amount_money.amount || 0) / 100);
     params.currency = refundData.amount_money.currency || 'USD';
   }
   
@@ -286,6 +346,162 @@ function addRefundParams(params, refundData, enrichedData) {
   if (refundData.payment_id) {
     params.payment_id = refundData.payment_id;
   }
+  
+  const refundedItems = getRefundedLineItems(refundData, order);
+  if (refundedItems.length > 0) {
+    params.items = mapLineItems(refundedItems, enrichedData?.catalog);
+  }
+  
+  params.refund_state = buildRefundState(refundData, enrichedData).refund_state;
+}
+
+/**
+ * Get the order from enrichment data
+ * Order events carry { order, customer }; payment and refund events nest that block under order
+ * @param {Object} enrichedData - Optional enriched data
+ * @returns {Object|null} - Square order
+ */
+function getEnrichedOrder(enrichedData) {
+  return enrichedData?.order?.order || enrichedData?.order || null;
+}
+
+/**
+ * Map Square line items to GA4 items
+ * @param {Array<Object>} lineItems - Order line items or return line items
+ * @param {Object} catalog - Optional catalog summaries keyed by variation ID
+ * @returns {Array<Object>} - GA4 items
+ */
+function mapLineItems(lineItems, catalog = {}) {
+  return lineItems.map(item => {
+    const catalogObjectId = squareField(item, 'catalog_object_id');
+    const basePriceMoney = squareField(item, 'base_price_money');
+    const entry = catalog?.[catalogObjectId] || {};
+    const ga4Item = {
+      item_id: catalogObjectId || '',
+      item_name: entry.item_name || item.name || 'Unknown Item',
+      quantity: item.quantity || 1,
+      price: basePriceMoney ? (moneyAmount(basePriceMoney) || 0) / 100 : 0,
+      item_variant: entry.variation_name || squareField(item, 'variation_name') || ''
+    };
+    
+    // GA4 takes up to five category levels: item_category, item_category2 ... item_category5
+    (entry.categories || []).slice(0, 5).forEach((category, index) => {
+      ga4Item[index === 0 ? 'item_category' : `item_category${index + 1}`] = category;
+    });
+    
+    if (entry.brand) {
+      ga4Item.item_brand = entry.brand;
+    }
+    
+    return ga4Item;
+  });
+}
+
+/**
+ * Build CRM line items with catalog details
+ * @param {Object} order - Square order
+ * @param {Object} catalog - Optional catalog summaries keyed by variation ID
+ * @returns {Array<Object>} - Line items
+ */
+function buildCRMLineItems(order, catalog = {}) {
+  return (squareField(order, 'line_items') || []).map(item => {
+    const catalogObjectId = squareField(item, 'catalog_object_id');
+    const basePriceMoney = squareField(item, 'base_price_money');
+    const entry = catalog?.[catalogObjectId] || {};
+    return {
+      uid: item.uid || null,
+      catalog_object_id: catalogObjectId || null,
+      item_id: entry.item_id || null,
+      name: entry.item_name || item.name || null,
+      variation_name: entry.variation_name || squareField(item, 'variation_name') || null,
+      sku: entry.sku || null,
+      categories: entry.categories || [],
+      brand: entry.brand || null,
+      quantity: item.quantity || null,
+      // Plain numbers, so the payload serializes
+      base_price_money: basePriceMoney ? { amount: moneyAmount(basePriceMoney), currency: basePriceMoney.currency || null } : null
+    };
+  });
+}
+
+/**
+ * Work out which line items a refund covers
+ * Itemized returns on the order list them; otherwise a refund of the full order
+ * total covers every line item, and a partial amount can't be attributed to items
+ * @param {Object} refund - The refund object from the webhook
+ * @param {Object} order - The original order, if enriched
+ * @returns {Array<Object>} - Line items (possibly empty)
+ */
+function getRefundedLineItems(refund, order) {
+  if (!order) return [];
+  
+  const returned = (order.returns || []).flatMap(orderReturn => squareField(orderReturn, 'return_line_items') || []);
+  if (returned.length > 0) {
+    return returned;
+  }
+  
+  const refundAmount = moneyAmount(refund.amount_money);
+  const orderTotal = moneyAmount(squareField(order, 'total_money'));
+  if (refundAmount !== null && orderTotal !== null && refundAmount >= orderTotal) {
+    return squareField(order, 'line_items') || [];
+  }
+  
+  return [];
+}
+
+/**
+ * Summarize a refund against its original payment for reconciliation
+ * @param {Object} refund - The refund object from the webhook
+ * @param {Object} enrichedData - Optional enriched data ({ payment, order })
+ * @returns {Object} - Refund state; refund_state is 'full', 'partial' or 'unknown'
+ */
+function buildRefundState(refund, enrichedData) {
+  const payment = enrichedData?.payment || null;
+  const paymentMoney = squareField(payment, 'total_money') || squareField(payment, 'amount_money');
+  const amount = moneyAmount(refund.amount_money);
+  const paymentTotal = moneyAmount(paymentMoney);
+  // refunded_money on the payment covers every completed refund so far
+  const refundedTotal = Math.max(moneyAmount(squareField(payment, 'refunded_money')) ?? 0, amount ?? 0);
+  
+  let refundState = 'unknown';
+  if (paymentTotal !== null && amount !== null) {
+    refundState = refundedTotal >= paymentTotal ? 'full' : 'partial';
+  }
+  
+  return {
+    refund_id: refund.id || null,
+    payment_id: refund.payment_id || null,
+    order_id: refund.order_id || squareField(payment, 'order_id') || null,
+    status: refund.status || null,
+    amount,
+    currency: refund.amount_money?.currency || paymentMoney?.currency || null,
+    payment_total: paymentTotal,
+    refunded_total: refundedTotal,
+    refund_state: refundState
+  };
+}
+
+/**
+ * Add inventory-specific parameters
+ * @param {Object} params - The GA4 params object to modify
+ * @param {Object} inventoryData - The inventory data from webhook
+ * @param {Object} enrichedData - Optional enriched data ({ catalog })
+ */
+function addInventoryParams(params, inventoryData, enrichedData) {
+  const catalog = enrichedData?.catalog || {};
+  const counts = inventoryData.inventory_counts || [];
+  
+  if (!params.location_id && counts[0]?.location_id) {
+    params.location_id = counts[0].location_id;
+  }
+  
+  params.items = counts.map(count => ({
+    item_id: count.catalog_object_id || '',
+    item_name: catalog[count.catalog_object_id]?.item_name || 'Unknown Item',
+    item_variant: catalog[count.catalog_object_id]?.variation_name || '',
+    quantity: Number(count.quantity) || 0,
+    inventory_state: count.state || ''
+  }));
 }
 
 /**
@@ -343,33 +559,40 @@ function addCustomerParams(params, customerData, enrichedData) {
 }
 
 /**
- * Sends event data to Server GTM
- * @param {Object} webhookData - The webhook data
- * @param {Object} enrichedData - Optional enriched data
+ * POST a JSON payload to an integration endpoint
+ * @param {string} url - Destination URL
+ * @param {Object} payload - JSON payload
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {Object} options.headers - Extra headers
+ * @returns {Promise<Object>} - Axios response
+ */
+async function postJSON(url, payload, { timeout = 5000, headers = {} } = {}) {
+  return axios.post(url, payload, {
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Square-Webhook-Handler',
+      ...headers
+    },
+    timeout
+  });
+}
+
+/**
+ * Posts a GA4-formatted event to Server GTM
+ * @param {Object} ga4Event - Payload from transformForGA4
+ * @param {Object} webhookData - The webhook data (for logging)
+ * @param {Object} tenant - The merchant's tenant, which may override the URL
  * @returns {Promise<Object>} - Response from GTM server
  */
-async function sendToServerGTM(webhookData, enrichedData) {
-  const gtmServerUrl = process.env.GTM_SERVER_URL;
+async function postToServerGTM(ga4Event, webhookData, tenant = null) {
+  const gtmServerUrl = getTenantDestinationUrl(tenant, 'gtm', process.env.GTM_SERVER_URL);
   if (!gtmServerUrl) {
     throw new Error('GTM server URL is not configured');
   }
   
   try {
-    // Transform data for GA4
-    const ga4Event = transformForGA4({ ...webhookData, enriched: enrichedData });
-    if (!ga4Event) {
-      console.error('Failed to transform webhook data for GA4');
-      return null;
-    }
-    
-    // Send to GTM server
-    const response = await axios.post(gtmServerUrl, ga4Event, {
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Square-Webhook-Handler'
-      },
-      timeout: 5000 // 5 second timeout
-    });
+    const response = await postJSON(gtmServerUrl, ga4Event, { timeout: 5000 });
     
     console.log('Successfully sent to GTM server:', {
       status: response.status,
@@ -385,38 +608,142 @@ async function sendToServerGTM(webhookData, enrichedData) {
 }
 
 /**
- * Sends data to a CRM system
+ * Get the GA4 Measurement Protocol settings for a tenant
+ * A tenant's ga4_mp destination settings win over GA4_MEASUREMENT_ID / GA4_API_SECRET / GA4_MP_DEBUG
+ * @param {Object} tenant - The merchant's tenant (may be null)
+ * @returns {Object} - { measurementId, apiSecret, debug }
+ */
+function getGA4MeasurementProtocolConfig(tenant = null) {
+  const setting = getTenantDestinationSetting(tenant, 'ga4_mp');
+  return {
+    measurementId: setting.measurement_id || process.env.GA4_MEASUREMENT_ID || null,
+    apiSecret: setting.api_secret || process.env.GA4_API_SECRET || null,
+    debug: setting.debug ?? process.env.GA4_MP_DEBUG === 'true'
+  };
+}
+
+/**
+ * Posts a GA4-formatted event directly to the GA4 Measurement Protocol
+ * Events are sent in batches of up to 25 per request. In debug mode the payload goes to the
+ * validation endpoint, which records nothing and answers with validation messages instead.
+ * @param {Object} ga4Event - Payload from transformForGA4
+ * @param {Object} webhookData - The webhook data (for logging)
+ * @param {Object} tenant - The merchant's tenant, which may have its own property
+ * @returns {Promise<Object>} - { requests, events, debug, validation_messages }
+ */
+async function postToGA4MeasurementProtocol(ga4Event, webhookData, tenant = null) {
+  const { measurementId, apiSecret, debug } = getGA4MeasurementProtocolConfig(tenant);
+  if (!measurementId || !apiSecret) {
+    throw new Error('GA4 measurement ID and API secret are not configured');
+  }
+  
+  const query = `measurement_id=${encodeURIComponent(measurementId)}&api_secret=${encodeURIComponent(apiSecret)}`;
+  const url = `${debug ? GA4_MP_DEBUG_URL : GA4_MP_URL}?${query}`;
+  const events = ga4Event.events || [];
+  const validationMessages = [];
+  let requests = 0;
+  
+  try {
+    for (let start = 0; start < events.length; start += GA4_MP_MAX_EVENTS) {
+      const response = await postJSON(url, { ...ga4Event, events: events.slice(start, start + GA4_MP_MAX_EVENTS) }, { timeout: 5000 });
+      requests++;
+      
+      if (debug) {
+        validationMessages.push(...(response.data?.validationMessages || []));
+      }
+    }
+  } catch (error) {
+    console.error('Error sending to GA4 Measurement Protocol:', error.message);
+    throw error;
+  }
+  
+  if (validationMessages.length > 0) {
+    console.warn(JSON.stringify({
+      level: 'warn',
+      event: 'ga4_mp_validation_messages',
+      event_id: webhookData.event_id,
+      event_type: webhookData.type,
+      measurement_id: measurementId,
+      validation_messages: validationMessages,
+      timestamp: new Date().toISOString()
+    }));
+  }
+  
+  console.log('Successfully sent to GA4 Measurement Protocol:', {
+    requests,
+    events: events.length,
+    debug,
+    eventType: webhookData.type,
+    eventId: webhookData.event_id
+  });
+  
+  return { requests, events: events.length, debug, validation_messages: debug ? validationMessages : undefined };
+}
+
+/**
+ * Sends event data to Server GTM
  * @param {Object} webhookData - The webhook data
  * @param {Object} enrichedData - Optional enriched data
+ * @returns {Promise<Object>} - Response from GTM server
  */
-async function sendToCRM(webhookData, enrichedData) {
-  const crmWebhookUrl = process.env.CRM_WEBHOOK_URL;
-  if (!crmWebhookUrl) {
-    console.log('CRM webhook URL not configured, skipping');
+async function sendToServerGTM(webhookData, enrichedData) {
+  // Transform data for GA4
+  const ga4Event = transformForGA4({ ...webhookData, enriched: enrichedData });
+  if (!ga4Event) {
+    console.error('Failed to transform webhook data for GA4');
     return null;
   }
   
+  return postToServerGTM(ga4Event, webhookData);
+}
+
+/**
+ * Format webhook data for the CRM
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} enrichedData - Optional enriched data
+ * @returns {Object} - CRM payload
+ */
+function buildCRMPayload(webhookData, enrichedData) {
+  const payload = {
+    source: 'square',
+    event_type: webhookData.type,
+    event_id: webhookData.event_id,
+    timestamp: new Date().toISOString(),
+    data: {
+      ...webhookData.data,
+      enriched: enrichedData
+    }
+  };
+  
+  // Line items with catalog details (categories, brand, SKU) when the order was enriched
+  const order = getEnrichedOrder(enrichedData?.enriched);
+  if (squareField(order, 'line_items')?.length) {
+    payload.line_items = buildCRMLineItems(order, enrichedData.enriched.catalog);
+  }
+  
+  // Finance reconciles partial refunds from this block
+  if (webhookData.type?.startsWith('refund.') && webhookData.data?.object) {
+    payload.refund = buildRefundState(webhookData.data.object, enrichedData?.enriched);
+  }
+  
+  return payload;
+}
+
+/**
+ * Posts a CRM payload to the CRM webhook
+ * @param {Object} crmData - Payload from buildCRMPayload
+ * @param {Object} webhookData - The webhook data (for logging)
+ * @param {Object} tenant - The merchant's tenant, which may override the URL
+ * @returns {Promise<Object>} - Response from the CRM
+ */
+async function postToCRM(crmData, webhookData, tenant = null) {
+  const crmWebhookUrl = getTenantDestinationUrl(tenant, 'crm', process.env.CRM_WEBHOOK_URL);
+  if (!crmWebhookUrl) {
+    throw new Error('CRM webhook URL is not configured');
+  }
+  
   try {
-    // Format data for CRM
-    const crmData = {
-      source: 'square',
-      event_type: webhookData.type,
-      event_id: webhookData.event_id,
-      timestamp: new Date().toISOString(),
-      data: {
-        ...webhookData.data,
-        enriched: enrichedData
-      }
-    };
-    
-    // Send to CRM
-    const response = await axios.post(crmWebhookUrl, crmData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Square-Webhook-Handler'
-      },
-      timeout: 5000
-    });
+    const response = await postJSON(crmWebhookUrl, crmData, { timeout: 5000 });
     
     console.log('Successfully sent to CRM:', {
       status: response.status,
@@ -426,52 +753,81 @@ async function sendToCRM(webhookData, enrichedData) {
     return response.data;
   } catch (error) {
     console.error('Error sending to CRM:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sends data to a CRM system
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} enrichedData - Optional enriched data
+ */
+async function sendToCRM(webhookData, enrichedData) {
+  if (!process.env.CRM_WEBHOOK_URL) {
+    console.log('CRM webhook URL not configured, skipping');
     return null;
   }
+  
+  return postToCRM(buildCRMPayload(webhookData, enrichedData), webhookData);
 }
 
 /**
- * Sends high-value order alert via email or notification service
+ * Format a high-value order alert
  * @param {Object} webhookData - The webhook data
  * @param {Object} enrichedData - Optional enriched data
+ * @returns {Object} - Notification payload
  */
-async function sendHighValueOrderAlert(webhookData, enrichedData) {
-  const notificationUrl = process.env.NOTIFICATION_WEBHOOK_URL;
+function buildHighValueOrderAlert(webhookData, enrichedData) {
+  const orderData = enrichedData?.order?.order || webhookData.data?.object;
+  const customerData = enrichedData?.customer || {};
+  
+  return {
+    type: 'high_value_order',
+    order_id: orderData.id,
+    order_total: orderData.total_money ? `${orderData.total_money.currency} ${orderData.total_money.amount / 100}` : 'Unknown',
+    location_id: orderData.location_id,
+    customer_name: customerData.given_name ? `${customerData.given_name} ${customerData.family_name || ''}` : 'Unknown Customer',
+    customer_email: customerData.email_address || 'No email provided',
+    timestamp: new Date().toISOString(),
+    order_url: `https://squareup.com/dashboard/orders/${orderData.id}`
+  };
+}
+
+/**
+ * Posts a notification to the notification service
+ * @param {Object} notificationData - Notification payload
+ * @param {Object} tenant - The merchant's tenant, which may override the URL
+ * @returns {Promise<Object>} - Response from the notification service
+ */
+async function postNotification(notificationData, tenant = null) {
+  const notificationUrl = getTenantDestinationUrl(tenant, 'notification', process.env.NOTIFICATION_WEBHOOK_URL);
   if (!notificationUrl) {
-    console.log('Notification webhook URL not configured, skipping');
-    return null;
+    throw new Error('Notification webhook URL is not configured');
   }
   
   try {
-    const orderData = enrichedData?.order?.order || webhookData.data?.object;
-    const customerData = enrichedData?.customer || {};
+    const response = await postJSON(notificationUrl, notificationData);
     
-    // Format notification data
-    const notificationData = {
-      type: 'high_value_order',
-      order_id: orderData.id,
-      order_total: orderData.total_money ? `${orderData.total_money.currency} ${orderData.total_money.amount / 100}` : 'Unknown',
-      location_id: orderData.location_id,
-      customer_name: customerData.given_name ? `${customerData.given_name} ${customerData.family_name || ''}` : 'Unknown Customer',
-      customer_email: customerData.email_address || 'No email provided',
-      timestamp: new Date().toISOString(),
-      order_url: `https://squareup.com/dashboard/orders/${orderData.id}`
-    };
-    
-    // Send notification
-    const response = await axios.post(notificationUrl, notificationData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Square-Webhook-Handler'
-      }
-    });
-    
-    console.log('Successfully sent high-value order alert');
+    console.log(`Successfully sent ${notificationData.type || 'notification'} alert`);
     return response.data;
   } catch (error) {
-    console.error('Error sending high-value order alert:', error.message);
+    console.error('Error sending notification:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sends high-value order alert via email or notification service
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} enrichedData - Optional enriched data
+ */
+async function sendHighValueOrderAlert(webhookData, enrichedData) {
+  if (!process.env.NOTIFICATION_WEBHOOK_URL) {
+    console.log('Notification webhook URL not configured, skipping');
     return null;
   }
+  
+  return postNotification(buildHighValueOrderAlert(webhookData, enrichedData));
 }
 
 /**
@@ -492,8 +848,18 @@ async function logToAnalyticsDashboard(webhookData) {
 
 module.exports = {
   transformForGA4,
+  getEnrichedOrder,
+  postJSON,
+  postToServerGTM,
   sendToServerGTM,
+  getGA4MeasurementProtocolConfig,
+  postToGA4MeasurementProtocol,
+  buildCRMPayload,
+  buildRefundState,
+  postToCRM,
   sendToCRM,
+  buildHighValueOrderAlert,
+  postNotification,
   sendHighValueOrderAlert,
   logToAnalyticsDashboard
 };
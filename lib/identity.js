@@ -0,0 +1,257 @@
+/**
+ * GA4 identity resolution
+ * Gives events for the same Square customer a stable user_id and client_id, so GA4 sees one user
+ * across their orders, payments and refunds. A customer's client_id is generated once and kept,
+ * unless the web client_id captured at checkout (/api/checkout-identity) links them to a browser.
+ */
+const crypto = require('crypto');
+const { getStorageBackend } = require('./storage-backends');
+const { ValidationError } = require('./errors');
+
+/**
+ * Prefix constants for key organization
+ */
+const PREFIX = {
+  CUSTOMER_CLIENT: 'ga4_client:customer:',
+  ORDER_CLIENT: 'ga4_client:order:'
+};
+
+/**
+ * Where a client_id came from
+ * - checkout: web client_id captured at checkout
+ * - generated: created for the customer on their first event
+ */
+const CLIENT_ID_SOURCES = {
+  CHECKOUT: 'checkout',
+  GENERATED: 'generated'
+};
+
+const DEFAULT_IDENTITY_DAYS = 730;
+
+// GA4 web client IDs: "<random>.<timestamp>", optionally as the _ga cookie value "GA1.1.<random>.<timestamp>"
+const CLIENT_ID_PATTERN = /^(?:GA\d\.\d\.)?(\d{1,20}\.\d{1,20})$/;
+
+/**
+ * Get how long client_id links are kept
+ * Matches the two-year lifetime of the GA cookie by default
+ * @returns {number} - Seconds
+ */
+function getIdentityRetentionSeconds() {
+  return (Number(process.env.GA4_IDENTITY_DAYS) || DEFAULT_IDENTITY_DAYS) * 86400;
+}
+
+/**
+ * Parse a stored record; KV may return JSON values already deserialized
+ * @param {string|Object} value - Stored value
+ * @returns {Object|null} - Parsed record
+ */
+function parseRecord(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Normalize a web client_id
+ * @param {string} value - client_id or _ga cookie value
+ * @returns {string|null} - "<random>.<timestamp>", or null if it isn't a GA4 client ID
+ */
+function normalizeClientId(value) {
+  const match = typeof value === 'string' ? value.trim().match(CLIENT_ID_PATTERN) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Generate a client_id in the format GA4 web tags use
+ * @returns {string} - "<random>.<unix seconds>"
+ */
+function generateWebClientId() {
+  return `${crypto.randomInt(1000000000, 2147483647)}.${Math.floor(Date.now() / 1000)}`;
+}
+
+/**
+ * Find the Square customer behind an event
+ * Enriched orders and payments are SDK models (customerId); the webhook object is snake_case
+ * @param {Object} webhookData - The webhook data with its enriched block
+ * @returns {string|null} - Square customer ID
+ */
+function getCustomerId(webhookData) {
+  const object = webhookData.data?.object || {};
+  const enriched = webhookData.enriched || {};
+
+  // Customer events carry the customer itself
+  if ((webhookData.type || '').startsWith('customer.')) {
+    return object.id || null;
+  }
+
+  // Order events carry { order, customer }; payment and refund events nest that block under order
+  const order = enriched.order?.order || enriched.order || null;
+  const customer = enriched.customer || enriched.order?.customer || null;
+
+  return customer?.id ||
+    order?.customerId ||
+    enriched.payment?.customerId ||
+    object.customer_id ||
+    null;
+}
+
+/**
+ * Find the order behind an order, payment or refund event
+ * @param {Object} webhookData - The webhook data with its enriched block
+ * @returns {string|null} - Square order ID
+ */
+function getOrderId(webhookData) {
+  const object = webhookData.data?.object || {};
+  const kind = (webhookData.type || '').split('.')[0];
+
+  if (kind === 'order') {
+    return object.id || null;
+  }
+  if (kind === 'payment' || kind === 'refund') {
+    return object.order_id || webhookData.enriched?.payment?.orderId || null;
+  }
+  return null;
+}
+
+/**
+ * Build the GA4 user_id for a Square customer
+ * Hashed like customer_id_hash, so the raw customer ID never reaches analytics
+ * @param {string} customerId - Square customer ID
+ * @returns {string} - SHA-256 hex digest
+ */
+function getUserId(customerId) {
+  return crypto.createHash('sha256').update(customerId).digest('hex');
+}
+
+/**
+ * Validate a checkout link posted to /api/checkout-identity
+ * @param {Object} body - { client_id, customer_id, order_id }
+ * @returns {Object} - { client_id (normalized), customer_id, order_id }
+ * @throws {ValidationError} - If the client_id is invalid or neither ID is given
+ */
+function parseCheckoutLink({ client_id: rawClientId, customer_id: customerId, order_id: orderId } = {}) {
+  const clientId = normalizeClientId(rawClientId);
+  if (!clientId) {
+    throw new ValidationError('client_id must be a GA4 client ID such as 1234567890.1700000000');
+  }
+  const ids = [customerId, orderId].filter(id => id !== undefined && id !== null);
+  if (ids.length === 0 || ids.some(id => typeof id !== 'string' || id.length === 0)) {
+    throw new ValidationError('customer_id or order_id is required and must be a string');
+  }
+
+  return { client_id: clientId, customer_id: customerId || null, order_id: orderId || null };
+}
+
+/**
+ * Link a web client_id captured at checkout to a Square customer and/or order
+ * The latest capture wins, so the customer follows the browser they last checked out in
+ * @param {Object} link - Validated link from parseCheckoutLink
+ * @returns {Promise<Object>} - The link
+ */
+async function recordCheckoutClientId(link) {
+  const store = getStorageBackend();
+  const record = JSON.stringify({
+    client_id: link.client_id,
+    source: CLIENT_ID_SOURCES.CHECKOUT,
+    updated_at: new Date().toISOString()
+  });
+  const ex = getIdentityRetentionSeconds();
+
+  if (link.customer_id) {
+    await store.set(`${PREFIX.CUSTOMER_CLIENT}${link.customer_id}`, record, { ex });
+  }
+  if (link.order_id) {
+    await store.set(`${PREFIX.ORDER_CLIENT}${link.order_id}`, record, { ex });
+  }
+
+  return link;
+}
+
+/**
+ * Get or create the client_id kept for a customer
+ * A client_id captured for the order replaces a generated one, since it ties the customer to a browser;
+ * a checkout capture already stored for the customer is kept
+ * @param {string} customerId - Square customer ID
+ * @param {string} orderId - Square order ID of the event, if any
+ * @returns {Promise<Object>} - { client_id, source }
+ */
+async function getCustomerClientId(customerId, orderId) {
+  const store = getStorageBackend();
+  const key = `${PREFIX.CUSTOMER_CLIENT}${customerId}`;
+  const ex = getIdentityRetentionSeconds();
+
+  const existing = parseRecord(await store.get(key));
+  if (existing?.source === CLIENT_ID_SOURCES.CHECKOUT) return existing;
+
+  const fromOrder = orderId ? parseRecord(await store.get(`${PREFIX.ORDER_CLIENT}${orderId}`)) : null;
+  if (fromOrder) {
+    // Later events for the customer, including ones without the order, keep the checkout client_id
+    const adopted = { ...fromOrder, updated_at: new Date().toISOString() };
+    await store.set(key, JSON.stringify(adopted), { ex });
+    return adopted;
+  }
+  if (existing) return existing;
+
+  const saved = {
+    client_id: generateWebClientId(),
+    source: CLIENT_ID_SOURCES.GENERATED,
+    updated_at: new Date().toISOString()
+  };
+  const result = await store.set(key, JSON.stringify(saved), { ex, nx: true });
+  if (result === null) {
+    // Another event for the customer created one first
+    return parseRecord(await store.get(key));
+  }
+  return saved;
+}
+
+/**
+ * Resolve the GA4 identity of an event
+ * @param {Object} webhookData - The webhook data with its enriched block
+ * @returns {Promise<Object>} - { user_id, client_id, client_id_source }; client_id is null when
+ *   nothing links the event to a customer or a checkout, leaving it to generateClientId
+ */
+async function resolveIdentity(webhookData) {
+  const customerId = getCustomerId(webhookData);
+  const orderId = getOrderId(webhookData);
+  const identity = {
+    user_id: customerId ? getUserId(customerId) : null,
+    client_id: null,
+    client_id_source: null
+  };
+
+  try {
+    let record = null;
+    if (customerId) {
+      record = await getCustomerClientId(customerId, orderId);
+    } else if (orderId) {
+      record = parseRecord(await getStorageBackend().get(`${PREFIX.ORDER_CLIENT}${orderId}`));
+    }
+
+    if (record) {
+      identity.client_id = record.client_id;
+      identity.client_id_source = record.source;
+    }
+  } catch (error) {
+    // The event still goes out, with a client_id derived from the event
+    console.error(JSON.stringify({
+      level: 'error',
+      event: 'ga4_identity_lookup_failed',
+      event_id: webhookData.event_id || null,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  return identity;
+}
+
+module.exports = {
+  CLIENT_ID_SOURCES,
+  normalizeClientId,
+  getCustomerId,
+  getOrderId,
+  getUserId,
+  parseCheckoutLink,
+  recordCheckoutClientId,
+  resolveIdentity
+};
@@ -0,0 +1,158 @@
+/**
+ * Low-stock alerts for inventory.count.updated events
+ * Thresholds can be set per item variation, per location or as a default. Each
+ * variation/location pair alerts at most once per de-bounce window.
+ */
+const { postNotification } = require('./gtm-api');
+const { acquireAlertDebounce, releaseAlertDebounce } = require('./storage');
+
+const DEFAULT_DEBOUNCE_MINUTES = 360;
+
+/**
+ * Parse the LOW_STOCK_THRESHOLDS value
+ * Format: { "default": 5, "locations": { "<location_id>": 3 }, "items": { "<variation_id>": 10 } }
+ * An item threshold wins over a location threshold, which wins over the default
+ * @param {string} value - The raw JSON value
+ * @returns {Object} - { default, locations, items }
+ * @throws {Error} - If the value is malformed
+ */
+function parseLowStockThresholds(value) {
+  const parsed = JSON.parse(value);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('LOW_STOCK_THRESHOLDS must be a JSON object');
+  }
+
+  const isThreshold = threshold => typeof threshold === 'number' && threshold >= 0;
+
+  if (parsed.default !== undefined && !isThreshold(parsed.default)) {
+    throw new Error('LOW_STOCK_THRESHOLDS.default must be a non-negative number');
+  }
+  for (const group of ['locations', 'items']) {
+    for (const [id, threshold] of Object.entries(parsed[group] || {})) {
+      if (!isThreshold(threshold)) {
+        throw new Error(`LOW_STOCK_THRESHOLDS.${group}.${id} must be a non-negative number`);
+      }
+    }
+  }
+
+  return {
+    default: parsed.default ?? null,
+    locations: parsed.locations || {},
+    items: parsed.items || {}
+  };
+}
+
+/**
+ * Get the configured thresholds
+ * @returns {Object|null} - Parsed thresholds, or null if unset or invalid
+ */
+function getLowStockThresholds() {
+  if (!process.env.LOW_STOCK_THRESHOLDS) return null;
+
+  try {
+    return parseLowStockThresholds(process.env.LOW_STOCK_THRESHOLDS);
+  } catch (error) {
+    console.error('Invalid LOW_STOCK_THRESHOLDS:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve the threshold for one variation at one location
+ * @param {Object} thresholds - Parsed thresholds
+ * @param {string} variationId - Catalog item variation ID
+ * @param {string} locationId - Square location ID
+ * @returns {number|null} - Threshold, or null if the item isn't tracked
+ */
+function getThreshold(thresholds, variationId, locationId) {
+  return thresholds.items[variationId] ?? thresholds.locations[locationId] ?? thresholds.default;
+}
+
+/**
+ * Find the counts in an inventory event that are at or below their threshold
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} enrichedData - Enriched data from Square API (catalog names under enriched.catalog)
+ * @returns {Array<Object>} - Low-stock items
+ */
+function findLowStockItems(webhookData, enrichedData) {
+  const thresholds = getLowStockThresholds();
+  const counts = webhookData.data?.object?.inventory_counts || [];
+  if (!thresholds) return [];
+
+  const catalog = enrichedData?.enriched?.catalog || {};
+
+  return counts
+    // Other states (SOLD, WASTE, ...) are movements, not stock on hand
+    .filter(count => !count.state || count.state === 'IN_STOCK')
+    .map(count => ({
+      count,
+      threshold: getThreshold(thresholds, count.catalog_object_id, count.location_id)
+    }))
+    .filter(({ count, threshold }) => threshold !== null && Number(count.quantity) <= threshold)
+    .map(({ count, threshold }) => ({
+      catalog_object_id: count.catalog_object_id,
+      item_name: catalog[count.catalog_object_id]?.item_name || 'Unknown Item',
+      variation_name: catalog[count.catalog_object_id]?.variation_name || null,
+      sku: catalog[count.catalog_object_id]?.sku || null,
+      location_id: count.location_id || null,
+      quantity: Number(count.quantity),
+      threshold
+    }));
+}
+
+/**
+ * Build a low-stock alert for the notification channel
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} enrichedData - Enriched data from Square API
+ * @returns {Object|null} - Alert payload, or null when nothing is low (skips delivery)
+ */
+function buildLowStockAlert(webhookData, enrichedData) {
+  const items = findLowStockItems(webhookData, enrichedData);
+  if (items.length === 0) return null;
+
+  return {
+    type: 'low_stock',
+    merchant_id: webhookData.merchant_id || null,
+    items,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Send a low-stock alert, leaving out items that already alerted within the de-bounce window
+ * @param {Object} alert - Payload from buildLowStockAlert
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} tenant - The merchant's tenant, which may override the notification URL
+ * @returns {Promise<Object>} - Notification response, or { debounced: true } if nothing was sent
+ */
+async function sendLowStockAlert(alert, webhookData, tenant = null) {
+  const windowSeconds = (Number(process.env.LOW_STOCK_ALERT_DEBOUNCE_MINUTES) || DEFAULT_DEBOUNCE_MINUTES) * 60;
+
+  const fresh = [];
+  for (const item of alert.items) {
+    const alertKey = `low_stock:${item.location_id || 'all'}:${item.catalog_object_id}`;
+    if (await acquireAlertDebounce(alertKey, windowSeconds)) {
+      fresh.push({ item, alertKey });
+    }
+  }
+
+  if (fresh.length === 0) {
+    return { debounced: true };
+  }
+
+  try {
+    return await postNotification({ ...alert, items: fresh.map(entry => entry.item) }, tenant);
+  } catch (error) {
+    // Let the next attempt or count change alert again
+    await Promise.all(fresh.map(entry => releaseAlertDebounce(entry.alertKey)));
+    throw error;
+  }
+}
+
+module.exports = {
+  parseLowStockThresholds,
+  getLowStockThresholds,
+  findLowStockItems,
+  buildLowStockAlert,
+  sendLowStockAlert
+};
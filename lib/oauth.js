@@ -0,0 +1,331 @@
+/**
+ * OAuth token store for sellers connected through Square OAuth
+ * Keeps each merchant's current access token in storage, refreshes it before it expires
+ * and disables the merchant when it revokes access (oauth.authorization.revoked).
+ */
+const crypto = require('crypto');
+const { getStorageBackend } = require('./storage-backends');
+const { callSquare } = require('./square-client');
+const { getTenants } = require('./tenants');
+
+/**
+ * Prefix constants for key organization
+ */
+const PREFIX = {
+  TOKEN: 'oauth_token:',
+  REFRESH_LOCK: 'oauth_refresh_lock:'
+};
+
+/**
+ * Token states
+ * - active: the token is usable
+ * - refresh_failed: the last refresh failed; the current token is used until it expires
+ * - revoked: the seller revoked access; the merchant's events are not processed
+ */
+const TOKEN_STATES = {
+  ACTIVE: 'active',
+  REFRESH_FAILED: 'refresh_failed',
+  REVOKED: 'revoked'
+};
+
+const DEFAULT_REFRESH_BEFORE_HOURS = 168;
+const NEAR_EXPIRY_HOURS = 24;
+const REFRESH_LOCK_SECONDS = 30;
+const REFRESH_RETRY_MINUTES = 15;
+
+/**
+ * Get how long before expiry a token is refreshed
+ * @returns {number} - Milliseconds
+ */
+function getRefreshWindowMs() {
+  return (Number(process.env.OAUTH_REFRESH_BEFORE_HOURS) || DEFAULT_REFRESH_BEFORE_HOURS) * 3600 * 1000;
+}
+
+/**
+ * Fingerprint a configured token, so a changed configuration (e.g. after the seller
+ * re-authorizes) replaces the stored record
+ * @param {string} token - Access token from the configuration
+ * @returns {string|null} - SHA-256 hex digest, or null without a token
+ */
+function fingerprint(token) {
+  return token ? crypto.createHash('sha256').update(token).digest('hex') : null;
+}
+
+/**
+ * Parse a stored record; KV may return JSON values already deserialized
+ * @param {string|Object} value - Stored value
+ * @returns {Object|null} - Parsed record
+ */
+function parseRecord(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Save a token record
+ * @param {Object} record - Token record
+ * @returns {Promise<Object>} - The saved record
+ */
+async function saveTokenRecord(record) {
+  const saved = { ...record, updated_at: new Date().toISOString() };
+  await getStorageBackend().set(`${PREFIX.TOKEN}${record.merchant_id}`, JSON.stringify(saved));
+  return saved;
+}
+
+/**
+ * Get the token record for a tenant, seeding it from the configuration when missing or outdated
+ * @param {Object} tenant - Tenant from getTenantForEvent
+ * @returns {Promise<Object|null>} - Token record, or null for events without a merchant
+ */
+async function loadTokenRecord(tenant) {
+  if (!tenant?.merchantId) return null;
+
+  const source = fingerprint(tenant.accessToken);
+  const record = parseRecord(await getStorageBackend().get(`${PREFIX.TOKEN}${tenant.merchantId}`));
+  if (record && record.source === source) {
+    return record;
+  }
+
+  return saveTokenRecord({
+    merchant_id: tenant.merchantId,
+    source,
+    access_token: tenant.accessToken || null,
+    refresh_token: tenant.refreshToken || null,
+    expires_at: tenant.expiresAt ? tenant.expiresAt.toISOString() : null,
+    status: TOKEN_STATES.ACTIVE,
+    refreshed_at: null,
+    revoked_at: null,
+    failed_at: null,
+    last_error: null
+  });
+}
+
+/**
+ * Check whether a token is due for refresh
+ * @param {Object} record - Token record
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True if it can be refreshed and its expiry is unknown or within the refresh window
+ */
+function needsRefresh(record, now = Date.now()) {
+  if (!record?.refresh_token || record.status === TOKEN_STATES.REVOKED) {
+    return false;
+  }
+  // Don't hit the OAuth API on every event while refreshes are failing
+  if (record.status === TOKEN_STATES.REFRESH_FAILED && record.failed_at &&
+      now - new Date(record.failed_at).getTime() < REFRESH_RETRY_MINUTES * 60 * 1000) {
+    return false;
+  }
+  // Without a known expiry the token could lapse unnoticed; one refresh records Square's expiry
+  if (!record.expires_at) {
+    return !record.refreshed_at;
+  }
+  return new Date(record.expires_at).getTime() - now < getRefreshWindowMs();
+}
+
+/**
+ * Exchange the refresh token for a new access token
+ * Only one instance refreshes a merchant at a time; the others keep using the current token
+ * @param {Object} record - Token record
+ * @returns {Promise<Object>} - The updated record (unchanged if another instance holds the lock)
+ */
+async function refreshAccessToken(record) {
+  const store = getStorageBackend();
+  const lockKey = `${PREFIX.REFRESH_LOCK}${record.merchant_id}`;
+
+  const locked = await store.set(lockKey, '1', { ex: REFRESH_LOCK_SECONDS, nx: true });
+  if (locked === null) {
+    return record;
+  }
+
+  try {
+    const clientId = process.env.SQUARE_APPLICATION_ID;
+    const clientSecret = process.env.SQUARE_APPLICATION_SECRET;
+    if (!clientId || !clientSecret) {
+      throw new Error('SQUARE_APPLICATION_ID and SQUARE_APPLICATION_SECRET are required to refresh tokens');
+    }
+
+    const { result } = await callSquare('obtainToken', client => client.oAuthApi.obtainToken({
+      clientId,
+      clientSecret,
+      grantType: 'refresh_token',
+      refreshToken: record.refresh_token
+    }), { accessToken: record.access_token });
+
+    const refreshed = await saveTokenRecord({
+      ...record,
+      access_token: result.accessToken,
+      // Square keeps the refresh token unless it sends a new one
+      refresh_token: result.refreshToken || record.refresh_token,
+      expires_at: result.expiresAt || null,
+      status: TOKEN_STATES.ACTIVE,
+      refreshed_at: new Date().toISOString(),
+      last_error: null
+    });
+
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'oauth_token_refreshed',
+      merchant_id: record.merchant_id,
+      expires_at: refreshed.expires_at,
+      timestamp: new Date().toISOString()
+    }));
+
+    return refreshed;
+  } catch (error) {
+    console.error(JSON.stringify({
+      level: 'error',
+      event: 'oauth_token_refresh_failed',
+      merchant_id: record.merchant_id,
+      error: error.message,
+      status: error.statusCode || null,
+      timestamp: new Date().toISOString()
+    }));
+
+    return saveTokenRecord({
+      ...record,
+      status: TOKEN_STATES.REFRESH_FAILED,
+      failed_at: new Date().toISOString(),
+      last_error: error.message
+    });
+  } finally {
+    await store.del(lockKey);
+  }
+}
+
+/**
+ * Get the access token to call Square with for a tenant, refreshing it first when due
+ * @param {Object} tenant - Tenant from getTenantForEvent
+ * @returns {Promise<string|null>} - Access token, or null if revoked, expired or not configured
+ */
+async function getAccessToken(tenant) {
+  let record = await loadTokenRecord(tenant);
+  if (!record) {
+    return tenant?.accessToken || null;
+  }
+
+  if (record.status === TOKEN_STATES.REVOKED) {
+    return null;
+  }
+
+  if (needsRefresh(record)) {
+    record = await refreshAccessToken(record);
+  }
+
+  if (record.expires_at && new Date(record.expires_at).getTime() <= Date.now()) {
+    console.warn(JSON.stringify({
+      level: 'warn',
+      event: 'oauth_token_expired',
+      merchant_id: record.merchant_id,
+      expires_at: record.expires_at,
+      timestamp: new Date().toISOString()
+    }));
+    return null;
+  }
+
+  return record.access_token;
+}
+
+/**
+ * Disable a merchant after an oauth.authorization.revoked webhook
+ * Processing resumes once the tenant is configured with a new access token
+ * @param {Object} tenant - Tenant from getTenantForEvent
+ * @param {Object} revocation - data.object.revocation from the webhook
+ * @returns {Promise<Object|null>} - The revoked record
+ */
+async function revokeMerchant(tenant, revocation = {}) {
+  const record = await loadTokenRecord(tenant);
+  if (!record) return null;
+
+  const revoked = await saveTokenRecord({
+    ...record,
+    access_token: null,
+    refresh_token: null,
+    status: TOKEN_STATES.REVOKED,
+    revoked_at: revocation?.revoked_at || new Date().toISOString(),
+    last_error: null
+  });
+
+  console.warn(JSON.stringify({
+    level: 'warn',
+    event: 'oauth_authorization_revoked',
+    merchant_id: record.merchant_id,
+    revoker_type: revocation?.revoker_type || null,
+    revoked_at: revoked.revoked_at,
+    timestamp: new Date().toISOString()
+  }));
+
+  return revoked;
+}
+
+/**
+ * Check whether a merchant revoked access
+ * @param {Object} tenant - Tenant from getTenantForEvent
+ * @returns {Promise<boolean>} - True if the merchant's events should not be processed
+ */
+async function isMerchantRevoked(tenant) {
+  const record = await loadTokenRecord(tenant);
+  return record?.status === TOKEN_STATES.REVOKED;
+}
+
+/**
+ * Refresh every registered tenant's token that is due, for the scheduled job
+ * Quiet merchants would otherwise only refresh when their next event arrives
+ * @returns {Promise<Array<Object>>} - [{ merchant_id, status, expires_at }] for the tokens that were due
+ */
+async function refreshExpiringTokens() {
+  const results = [];
+
+  for (const tenant of getTenants()) {
+    try {
+      const record = await loadTokenRecord(tenant);
+      if (!needsRefresh(record)) continue;
+
+      const refreshed = await refreshAccessToken(record);
+      results.push({ merchant_id: tenant.merchantId, status: refreshed.status, expires_at: refreshed.expires_at });
+    } catch (error) {
+      console.error(`Error refreshing token for ${tenant.merchantId}:`, error);
+      results.push({ merchant_id: tenant.merchantId, status: 'error', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Get the token state of every registered tenant for /health, without token material
+ * @returns {Promise<Array<Object>>} - [{ merchant_id, status, expires_at, near_expiry, expired, refresh_failed, ... }]
+ */
+async function getTokenHealth() {
+  const now = Date.now();
+  const health = [];
+
+  for (const tenant of getTenants()) {
+    const record = await loadTokenRecord(tenant);
+    const expiresAt = record.expires_at ? new Date(record.expires_at).getTime() : null;
+
+    health.push({
+      merchant_id: tenant.merchantId,
+      status: record.status,
+      expires_at: record.expires_at,
+      near_expiry: expiresAt !== null && expiresAt - now < NEAR_EXPIRY_HOURS * 3600 * 1000,
+      expired: expiresAt !== null && expiresAt <= now,
+      refresh_failed: record.status === TOKEN_STATES.REFRESH_FAILED,
+      refreshable: !!record.refresh_token,
+      refreshed_at: record.refreshed_at,
+      revoked_at: record.revoked_at,
+      last_error: record.last_error
+    });
+  }
+
+  return health;
+}
+
+module.exports = {
+  TOKEN_STATES,
+  getAccessToken,
+  refreshAccessToken,
+  revokeMerchant,
+  isMerchantRevoked,
+  refreshExpiringTokens,
+  getTokenHealth
+};
@@ -0,0 +1,453 @@
+/**
+ * Shared event-processing pipeline
+ * Used by the live webhook handler and the retry job so both runs behave identically
+ */
+const { reserveEvent, commitEvent, recordRejectedEvent, storeFailedEvent, getDeliveryRecords, updateDeliveryRecord } = require('./storage');
+const { enrichWebhookData } = require('./square-api');
+const { getDestinationsForEvent } = require('./destinations');
+const { ValidationError, TransientError, classifyError } = require('./errors');
+const { validateEvent } = require('./schemas');
+const { getTenantForEvent } = require('./tenants');
+const { isMerchantRevoked, revokeMerchant } = require('./oauth');
+
+/**
+ * Processing modes
+ * - live: delivery from Square; reserves the event for idempotency and skips events
+ *   that are committed or reserved by a live lease
+ * - retry: scheduled retry of a stored failed event; the caller owns the failed record
+ * - replay: manual re-run that bypasses the duplicate check
+ * Every mode commits the event marker once it reaches an outcome.
+ */
+const PROCESSING_MODES = {
+  LIVE: 'live',
+  RETRY: 'retry',
+  REPLAY: 'replay'
+};
+
+// Timeouts shared by every mode
+const ENRICHMENT_TIMEOUT_MS = 5000;
+
+/**
+ * Race a promise against a timeout
+ * @param {Promise} promise - The operation to wait for
+ * @param {string} name - Operation name for the error message
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise} - Resolves with the operation result or rejects with a TransientError
+ */
+function withTimeout(promise, name, timeoutMs) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new TransientError(`${name} timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed delivery may still have reached the destination
+ * @param {Error} error - The delivery error
+ * @returns {boolean} - True if the outcome is unknown (timeouts, dropped connections)
+ */
+function isAmbiguousFailure(error) {
+  return !!error.timedOut || ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET'].includes(error.code);
+}
+
+/**
+ * Decide whether a destination may be sent to, given its previous delivery record
+ * Destinations that are not idempotent are never re-sent while a previous outcome is unknown
+ * @param {Object} destination - Destination from the registry
+ * @param {Object} record - Previous delivery record, if any
+ * @returns {string|null} - Reason to skip, or null if delivery may proceed
+ */
+function getSkipReason(destination, record) {
+  if (!record) return null;
+  if (record.status === 'succeeded') return 'already_delivered';
+  if (!destination.idempotent && (record.status === 'pending' || record.ambiguous)) {
+    return 'outcome_unknown';
+  }
+  return null;
+}
+
+/**
+ * Deliver an event to one destination, applying its timeout and retry policy
+ * @param {Object} destination - Destination from the registry
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} enrichedData - Enriched data from Square API
+ * @param {Object} tenant - The merchant's tenant
+ * @returns {Promise<Object>} - { destination, status: 'succeeded' | 'skipped', attempts, response }
+ */
+async function deliverToDestination(destination, webhookData, enrichedData, tenant = null) {
+  const payload = await destination.transform(webhookData, enrichedData);
+  if (payload === null || payload === undefined) {
+    return { destination: destination.name, status: 'skipped', attempts: 0 };
+  }
+
+  const { attempts, backoffMs } = destination.retry;
+  let lastError;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const response = await withTimeout(
+        destination.send(payload, webhookData, tenant),
+        destination.name,
+        destination.timeoutMs
+      );
+      return { destination: destination.name, status: 'succeeded', attempts: attempt, response };
+    } catch (error) {
+      lastError = error;
+      error.attempts = attempt;
+
+      // Permanent errors will fail the same way on every attempt, and a
+      // non-idempotent destination may already have received a timed-out request
+      if (classifyError(error) === 'permanent' || attempt === attempts ||
+          (!destination.idempotent && isAmbiguousFailure(error))) {
+        break;
+      }
+
+      await sleep(backoffMs * Math.pow(2, attempt - 1));
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Deliver to one destination and keep its delivery record up to date
+ * @param {Object} destination - Destination from the registry
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} enrichedData - Enriched data from Square API
+ * @param {Object} previous - Previous delivery record, if any
+ * @param {Object} tenant - The merchant's tenant
+ * @returns {Promise<Object>} - Delivery result
+ */
+async function trackedDelivery(destination, webhookData, enrichedData, previous, tenant) {
+  const eventId = webhookData.event_id;
+  const previousAttempts = previous?.attempts || 0;
+
+  await updateDeliveryRecord(eventId, destination.name, { status: 'pending', attempts: previousAttempts });
+
+  try {
+    const result = await deliverToDestination(destination, webhookData, enrichedData, tenant);
+    await updateDeliveryRecord(eventId, destination.name, {
+      status: result.status,
+      attempts: previousAttempts + result.attempts,
+      // Validating destinations (GA4 debug mode) report what they found
+      validation_messages: result.response?.validation_messages
+    });
+    return result;
+  } catch (error) {
+    await updateDeliveryRecord(eventId, destination.name, {
+      status: 'failed',
+      attempts: previousAttempts + (error.attempts || 1),
+      last_error: error.message,
+      ambiguous: isAmbiguousFailure(error)
+    });
+    throw error;
+  }
+}
+
+/**
+ * Distribute webhook event to the registered destinations
+ * Destinations that already succeeded for this event are skipped, so re-runs never double-post
+ * @param {Object} webhookData - The webhook data
+ * @param {Object} enrichedData - Enriched data from Square API
+ * @param {Object} options - Distribution options
+ * @param {Array<string>} options.destinations - Only deliver to these destination names
+ * @param {Object} options.tenant - The merchant's tenant (resolved from the event if omitted)
+ * @returns {Promise<Array>} - Per-destination results: { destination, status, attempts, error? }
+ */
+async function distributeEvent(webhookData, enrichedData, {
+  destinations: onlyDestinations = null,
+  tenant = getTenantForEvent(webhookData)
+} = {}) {
+  const eventId = webhookData.event_id || 'unknown';
+  const eventType = webhookData.type || 'unknown';
+  const records = await getDeliveryRecords(webhookData.event_id);
+
+  let destinations = getDestinationsForEvent(webhookData, enrichedData, tenant);
+  if (onlyDestinations) {
+    destinations = destinations.filter(destination => onlyDestinations.includes(destination.name));
+  }
+
+  const skipped = [];
+  destinations = destinations.filter(destination => {
+    const reason = getSkipReason(destination, records[destination.name]);
+    if (!reason) return true;
+
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'distribution_skipped',
+      distribution_target: destination.name,
+      event_id: eventId,
+      reason,
+      timestamp: new Date().toISOString()
+    }));
+    skipped.push({ destination: destination.name, status: reason, attempts: 0 });
+    return false;
+  });
+
+  // Wait for all distribution to complete, regardless of success/failure
+  const settled = await Promise.allSettled(
+    destinations.map(destination =>
+      trackedDelivery(destination, webhookData, enrichedData, records[destination.name], tenant)
+    )
+  );
+
+  const results = settled.map((result, index) => {
+    if (result.status === 'fulfilled') {
+      return result.value;
+    }
+
+    const error = result.reason;
+
+    // Log detailed error information
+    console.error(JSON.stringify({
+      level: 'error',
+      event: 'distribution_failed',
+      distribution_target: destinations[index].name,
+      event_id: eventId,
+      event_type: eventType,
+      error: error.message,
+      error_type: error.name,
+      attempts: error.attempts || 1,
+      timestamp: new Date().toISOString()
+    }));
+
+    return {
+      destination: destinations[index].name,
+      status: 'failed',
+      attempts: error.attempts || 1,
+      error: error.message
+    };
+  });
+
+  // Log distribution results summary
+  const failedCount = results.filter(r => r.status === 'failed').length;
+  if (failedCount > 0) {
+    console.warn(JSON.stringify({
+      level: 'warn',
+      event: 'distribution_partial_failure',
+      event_id: eventId,
+      failed_count: failedCount,
+      total_count: results.length,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  return results.concat(skipped);
+}
+
+/**
+ * Process a webhook event: idempotency, enrichment and distribution
+ * @param {Object} webhookData - The webhook event data
+ * @param {Object} options - Processing options
+ * @param {string} options.mode - 'live', 'retry' or 'replay'
+ * @param {Array<string>} options.destinations - Only deliver to these destinations (targeted retries)
+ * @returns {Promise<Object>} - Outcome: { status, event_id, error?, retryable?, failed_destinations? }
+ *   status is one of 'processed', 'partial', 'duplicate', 'skipped', 'rejected' or 'failed'
+ */
+async function processEvent(webhookData, { mode = PROCESSING_MODES.LIVE, destinations = null } = {}) {
+  const startTime = Date.now();
+
+  if (!Object.values(PROCESSING_MODES).includes(mode)) {
+    throw new Error(`Unknown processing mode: ${mode}`);
+  }
+
+  try {
+    // Skip if no data or event ID
+    if (!webhookData || !webhookData.event_id) {
+      throw new ValidationError('Invalid webhook data received - missing event_id');
+    }
+
+    // Reject malformed payloads before they reach enrichment or any destination
+    validateEvent(webhookData);
+
+    const eventId = webhookData.event_id;
+    const eventType = webhookData.type || 'unknown';
+
+    // Log structured processing start
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'webhook_processing_start',
+      event_id: eventId,
+      event_type: eventType,
+      merchant_id: webhookData.merchant_id || null,
+      mode,
+      timestamp: new Date().toISOString()
+    }));
+
+    // 1. Reserve the event with a short lease. It only becomes a committed "processed"
+    // marker once we reach an outcome, so a crash mid-run leaves the event eligible again
+    // when the lease expires. Retries and replays re-run an event on purpose and skip this.
+    if (mode === PROCESSING_MODES.LIVE) {
+      const reservation = await reserveEvent(eventId, webhookData);
+
+      if (!reservation.reserved) {
+        console.log(JSON.stringify({
+          level: 'info',
+          event: 'webhook_duplicate_skipped',
+          event_id: eventId,
+          event_type: eventType,
+          state: reservation.state,
+          timestamp: new Date().toISOString()
+        }));
+        return { status: 'duplicate', event_id: eventId, state: reservation.state };
+      }
+    }
+
+    // Enrichment and delivery use the settings of the merchant the event belongs to
+    const tenant = getTenantForEvent(webhookData);
+
+    // Sellers that revoked access are not processed until they are connected again
+    if (await isMerchantRevoked(tenant)) {
+      console.log(JSON.stringify({
+        level: 'info',
+        event: 'webhook_merchant_revoked_skipped',
+        event_id: eventId,
+        event_type: eventType,
+        merchant_id: tenant.merchantId,
+        timestamp: new Date().toISOString()
+      }));
+      await commitEvent(eventId, webhookData, 'skipped');
+      return { status: 'skipped', event_id: eventId, reason: 'merchant_revoked' };
+    }
+
+    if (eventType === 'oauth.authorization.revoked') {
+      await revokeMerchant(tenant, webhookData.data?.object?.revocation);
+    }
+
+    // 2. Enrich data with Square API (with timeout)
+    let enrichedData = null;
+    try {
+      enrichedData = await withTimeout(enrichWebhookData(webhookData, { tenant }), 'Enrichment', ENRICHMENT_TIMEOUT_MS);
+    } catch (enrichError) {
+      console.warn(JSON.stringify({
+        level: 'warn',
+        event: 'webhook_enrichment_failed',
+        event_id: eventId,
+        event_type: eventType,
+        error: enrichError.message,
+        timestamp: new Date().toISOString()
+      }));
+      // Continue with processing even if enrichment fails
+    }
+
+    // 3. Distribute event to configured destinations
+    const deliveries = await distributeEvent(webhookData, enrichedData, { destinations, tenant });
+    const failedDestinations = deliveries
+      .filter(delivery => delivery.status === 'failed')
+      .map(delivery => delivery.destination);
+
+    if (failedDestinations.length > 0) {
+      // Keep the event for a targeted retry of just the failed destinations
+      if (mode !== PROCESSING_MODES.RETRY) {
+        await storeFailedEvent(
+          webhookData,
+          new Error(`Delivery failed for: ${failedDestinations.join(', ')}`),
+          { failedDestinations }
+        );
+      }
+
+      // The failed-events store owns the rest, so redeliveries shouldn't start over
+      await commitEvent(eventId, webhookData, 'partial');
+
+      return {
+        status: 'partial',
+        event_id: eventId,
+        error: `Delivery failed for: ${failedDestinations.join(', ')}`,
+        failed_destinations: failedDestinations,
+        retryable: true
+      };
+    }
+
+    // 4. Commit and log successful processing
+    await commitEvent(eventId, webhookData, 'processed');
+
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'webhook_processing_complete',
+      event_id: eventId,
+      event_type: eventType,
+      mode,
+      processing_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    }));
+
+    return { status: 'processed', event_id: eventId };
+  } catch (error) {
+    // Log error with structured data
+    console.error(JSON.stringify({
+      level: 'error',
+      event: 'webhook_processing_error',
+      event_id: webhookData?.event_id || 'unknown',
+      event_type: webhookData?.type || 'unknown',
+      mode,
+      error: error.message,
+      error_type: error.name,
+      validation_errors: error.errors,
+      stack: error.stack,
+      processing_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    }));
+
+    // Classify errors for appropriate handling
+    const classification = classifyError(error);
+
+    if (classification === 'permanent') {
+      // Permanent errors shouldn't be retried
+      console.error('Permanent error - will not retry:', error.message);
+      // The rejected metric counts invalid payloads, not every permanent failure
+      if (error instanceof ValidationError) {
+        await recordRejectedEvent(webhookData?.type, webhookData?.merchant_id);
+      }
+      if (webhookData?.event_id) {
+        await commitEvent(webhookData.event_id, webhookData, 'rejected');
+      }
+      return { status: 'rejected', event_id: webhookData?.event_id, error: error.message, retryable: false };
+    }
+
+    // The retry job already holds a failed record for this event
+    if (mode !== PROCESSING_MODES.RETRY) {
+      if (classification === 'retryable') {
+        // Store for retry
+        await storeFailedEvent(webhookData, {
+          message: error.message,
+          stack: error.stack,
+          timestamp: new Date().toISOString(),
+          context: {
+            eventId: webhookData?.event_id,
+            eventType: webhookData?.type
+          }
+        });
+      } else {
+        // Unknown error type - store for analysis
+        await storeFailedEvent(webhookData, error);
+      }
+    }
+
+    await commitEvent(webhookData.event_id, webhookData, 'failed');
+
+    return { status: 'failed', event_id: webhookData?.event_id, error: error.message, retryable: true };
+  }
+}
+
+module.exports = {
+  PROCESSING_MODES,
+  processEvent,
+  distributeEvent,
+  deliverToDestination,
+  withTimeout
+};
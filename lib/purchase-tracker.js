@@ -0,0 +1,325 @@
+/**
+ * GA4 purchase-state tracker
+ * Order and payment events for the same sale arrive several times (order.created, order.updated,
+ * payment.created, payment.updated), so sending each as a purchase inflates GA4 revenue. The tracker
+ * remembers which orders and refunds were already reported and decides once per event what GA4 gets:
+ * one purchase per completed order, one refund per refund or reversal.
+ */
+const { getStorageBackend } = require('./storage-backends');
+const { getMaxRetentionSeconds } = require('./retention');
+const { getEnrichedOrder } = require('./gtm-api');
+
+/**
+ * Prefix constants for key organization
+ */
+const PREFIX = {
+  PURCHASE: 'ga4_purchase:',
+  REFUND: 'ga4_refund:',
+  REVERSAL: 'ga4_reversal:',
+  DECISION: 'ga4_purchase_decision:',
+  STATS: 'ga4_purchase_stats:'
+};
+
+const DEFAULT_STATE_RETENTION_DAYS = 365;
+
+/**
+ * Tracker actions
+ */
+const PURCHASE_ACTIONS = {
+  PURCHASE: 'purchase',
+  DUPLICATE_PURCHASE: 'duplicate_purchase',
+  PENDING: 'pending',
+  REFUND: 'refund',
+  DUPLICATE_REFUND: 'duplicate_refund',
+  REVERSAL: 'reversal'
+};
+
+/**
+ * The rules behind each action, in the order they are checked; shown on the dashboard
+ */
+const PURCHASE_RULES = [
+  {
+    action: PURCHASE_ACTIONS.PURCHASE,
+    description: 'The first order or payment event showing the order completed (order state COMPLETED or payment status COMPLETED) is sent as purchase, with the order ID as transaction_id and the order total as value'
+  },
+  {
+    action: PURCHASE_ACTIONS.DUPLICATE_PURCHASE,
+    description: 'Later events for an order already reported keep their own GA4 name; one that would be a purchase is not sent'
+  },
+  {
+    action: PURCHASE_ACTIONS.REVERSAL,
+    description: 'An order canceled after its purchase was reported is sent once as refund for the reported value'
+  },
+  {
+    action: PURCHASE_ACTIONS.PENDING,
+    description: 'A purchase for an order that is not completed yet is sent as begin_checkout'
+  },
+  {
+    action: PURCHASE_ACTIONS.REFUND,
+    description: 'Each refund is sent as refund once, by its first event that is not REJECTED or FAILED'
+  },
+  {
+    action: PURCHASE_ACTIONS.DUPLICATE_REFUND,
+    description: 'Later events for a reported refund, and rejected or failed refunds, are sent as refund_updated'
+  }
+];
+
+/**
+ * Get how long reported orders and refunds are remembered
+ * Refunds can follow a sale by months, so this outlives the idempotency markers
+ * @returns {number} - Seconds
+ */
+function getStateRetentionSeconds() {
+  return (Number(process.env.GA4_PURCHASE_STATE_DAYS) || DEFAULT_STATE_RETENTION_DAYS) * 86400;
+}
+
+/**
+ * Parse a stored record; KV may return JSON values already deserialized
+ * @param {string|Object} value - Stored value
+ * @returns {Object|null} - Parsed record
+ */
+function parseRecord(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Convert Square money to a GA4 value
+ * @param {Object} money - { amount, currency }; SDK models carry the amount as a BigInt
+ * @returns {Object} - { value, currency }, or nulls without an amount
+ */
+function toValue(money) {
+  if (!money) return { value: null, currency: null };
+  return { value: Number(money.amount || 0) / 100, currency: money.currency || 'USD' };
+}
+
+/**
+ * Extract the purchase facts from an order, payment or refund event
+ * Enriched orders and payments are SDK models (camelCase); the webhook object is snake_case
+ * @param {Object} webhookData - The webhook data with its enriched block
+ * @returns {Object|null} - { kind, transactionId, refundId, completed, canceled, refundable, value, currency }
+ *   or null for other event types
+ */
+function getPurchaseFacts(webhookData) {
+  const object = webhookData.data?.object || {};
+  const enriched = webhookData.enriched || {};
+  const kind = (webhookData.type || '').split('.')[0];
+
+  if (kind === 'order') {
+    const order = getEnrichedOrder(enriched) || object;
+    return {
+      kind,
+      transactionId: order.id || object.id || null,
+      completed: order.state === 'COMPLETED',
+      canceled: order.state === 'CANCELED',
+      ...toValue(order.totalMoney || order.total_money)
+    };
+  }
+
+  if (kind === 'payment') {
+    const payment = enriched.payment || object;
+    // The order total counts, not one tender of a split payment
+    const order = getEnrichedOrder(enriched);
+    return {
+      kind,
+      transactionId: payment.orderId || payment.order_id || payment.id || null,
+      completed: payment.status === 'COMPLETED',
+      canceled: false,
+      ...toValue(order?.totalMoney || order?.total_money ||
+        payment.totalMoney || payment.total_money || payment.amountMoney || payment.amount_money)
+    };
+  }
+
+  if (kind === 'refund') {
+    return {
+      kind,
+      transactionId: object.order_id || enriched.payment?.orderId || null,
+      refundId: object.id || null,
+      refundable: !['REJECTED', 'FAILED'].includes(object.status),
+      ...toValue(object.amount_money)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Claim a state key for an event
+ * The event that claims it keeps it, so retries and a second GA4 destination see the same outcome
+ * @param {string} key - State key
+ * @param {string} eventId - The claiming event
+ * @param {Object} details - Stored with the claim
+ * @returns {Promise<Object|null>} - The claim if this event holds it, or null if another event does
+ */
+async function claim(key, eventId, details = {}) {
+  const store = getStorageBackend();
+  const record = { event_id: eventId, ...details, reported_at: new Date().toISOString() };
+
+  const result = await store.set(key, JSON.stringify(record), { ex: getStateRetentionSeconds(), nx: true });
+  if (result !== null) {
+    return record;
+  }
+
+  const existing = parseRecord(await store.get(key));
+  return existing?.event_id === eventId ? existing : null;
+}
+
+/**
+ * Decide what GA4 gets for an event
+ * @param {Object} facts - From getPurchaseFacts
+ * @param {string} eventId - The webhook event ID
+ * @returns {Promise<Object|null>} - { action, transaction_id, value, currency }, or null if no rule applies
+ */
+async function decide(facts, eventId) {
+  const decision = action => ({
+    action,
+    transaction_id: facts.transactionId,
+    value: facts.value,
+    currency: facts.currency
+  });
+
+  if (facts.kind === 'refund') {
+    if (!facts.refundId || !facts.refundable) {
+      return decision(PURCHASE_ACTIONS.DUPLICATE_REFUND);
+    }
+    const claimed = await claim(`${PREFIX.REFUND}${facts.refundId}`, eventId, { transaction_id: facts.transactionId });
+    return decision(claimed ? PURCHASE_ACTIONS.REFUND : PURCHASE_ACTIONS.DUPLICATE_REFUND);
+  }
+
+  if (!facts.transactionId) return null;
+  const purchaseKey = `${PREFIX.PURCHASE}${facts.transactionId}`;
+
+  if (facts.completed) {
+    const claimed = await claim(purchaseKey, eventId, { value: facts.value, currency: facts.currency });
+    return decision(claimed ? PURCHASE_ACTIONS.PURCHASE : PURCHASE_ACTIONS.DUPLICATE_PURCHASE);
+  }
+
+  const purchase = parseRecord(await getStorageBackend().get(purchaseKey));
+
+  if (facts.canceled && purchase) {
+    const claimed = await claim(`${PREFIX.REVERSAL}${facts.transactionId}`, eventId);
+    if (claimed) {
+      return { ...decision(PURCHASE_ACTIONS.REVERSAL), value: purchase.value, currency: purchase.currency };
+    }
+  }
+
+  return decision(purchase ? PURCHASE_ACTIONS.DUPLICATE_PURCHASE : PURCHASE_ACTIONS.PENDING);
+}
+
+/**
+ * Get the tracker's decision for an event, deciding on first call
+ * The decision is stored per event, so every GA4 destination and every retry of the event
+ * sends the same thing and the counters only move once
+ * @param {Object} webhookData - The webhook data with its enriched block
+ * @returns {Promise<Object|null>} - The decision, or null for events the tracker ignores
+ */
+async function getPurchaseDecision(webhookData) {
+  const facts = getPurchaseFacts(webhookData);
+  if (!facts || !webhookData.event_id) return null;
+
+  const store = getStorageBackend();
+  const key = `${PREFIX.DECISION}${webhookData.event_id}`;
+  const existing = parseRecord(await store.get(key));
+  if (existing) return existing;
+
+  const decision = await decide(facts, webhookData.event_id);
+  if (!decision) return null;
+
+  const result = await store.set(key, JSON.stringify(decision), { ex: getMaxRetentionSeconds(), nx: true });
+  if (result === null) {
+    // Another destination decided first
+    return parseRecord(await store.get(key));
+  }
+
+  await store.incr(`${PREFIX.STATS}${decision.action}`);
+
+  console.log(JSON.stringify({
+    level: 'info',
+    event: 'ga4_purchase_decision',
+    event_id: webhookData.event_id,
+    event_type: webhookData.type,
+    action: decision.action,
+    transaction_id: decision.transaction_id,
+    timestamp: new Date().toISOString()
+  }));
+
+  return decision;
+}
+
+/**
+ * Apply a decision to a GA4 payload
+ * @param {Object} ga4Event - Payload from transformForGA4
+ * @param {Object} decision - From getPurchaseDecision
+ * @returns {Object|null} - The adjusted payload, or null if nothing should be sent
+ */
+function applyPurchaseDecision(ga4Event, decision) {
+  if (!ga4Event || !decision) return ga4Event;
+
+  const event = ga4Event.events[0];
+  let name = event.name;
+  const params = { ...event.params };
+
+  switch (decision.action) {
+    case PURCHASE_ACTIONS.PURCHASE:
+      name = 'purchase';
+      params.transaction_id = decision.transaction_id;
+      if (decision.value !== null) {
+        params.value = decision.value;
+        params.currency = decision.currency;
+      }
+      break;
+
+    case PURCHASE_ACTIONS.DUPLICATE_PURCHASE:
+      if (name === 'purchase') return null;
+      break;
+
+    case PURCHASE_ACTIONS.PENDING:
+      if (name === 'purchase') name = 'begin_checkout';
+      break;
+
+    case PURCHASE_ACTIONS.REVERSAL:
+      name = 'refund';
+      params.transaction_id = decision.transaction_id;
+      if (decision.value !== null) {
+        // Refunds reduce revenue, so the value is negative
+        params.value = -decision.value;
+        params.currency = decision.currency;
+      }
+      break;
+
+    case PURCHASE_ACTIONS.REFUND:
+      name = 'refund';
+      break;
+
+    case PURCHASE_ACTIONS.DUPLICATE_REFUND:
+      if (name === 'refund') name = 'refund_updated';
+      break;
+
+    default:
+      break;
+  }
+
+  return {
+    ...ga4Event,
+    events: [{ ...event, name, params }, ...ga4Event.events.slice(1)]
+  };
+}
+
+/**
+ * Gets the tracker counters for the dashboard
+ * @returns {Promise<Object>} - Map of action to count
+ */
+async function getPurchaseStats() {
+  const actions = Object.values(PURCHASE_ACTIONS);
+  const values = await getStorageBackend().mget(...actions.map(action => `${PREFIX.STATS}${action}`));
+  return Object.fromEntries(actions.map((action, index) => [action, Number(values[index]) || 0]));
+}
+
+module.exports = {
+  PURCHASE_ACTIONS,
+  PURCHASE_RULES,
+  getPurchaseFacts,
+  getPurchaseDecision,
+  applyPurchaseDecision,
+  getPurchaseStats
+};
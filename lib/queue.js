@@ -0,0 +1,294 @@
+/**
+ * Durable processing queue
+ * The webhook handler enqueues verified events before acknowledging Square; workers drain the
+ * queue with leases so work survives function teardown. A claimed event stays invisible for the
+ * visibility timeout; if the worker dies without ack/nack, the event becomes visible again.
+ */
+const crypto = require('crypto');
+const { getStorageBackend } = require('./storage-backends');
+const { storeFailedEvent } = require('./storage');
+const { processEvent, PROCESSING_MODES } = require('./pipeline');
+const { computeBackoffMs } = require('./retry-policy');
+
+/**
+ * Prefix constants for key organization
+ */
+const PREFIX = {
+  PENDING: 'queue:pending',
+  ITEM: 'queue:item:',
+  LEASE: 'queue:lease:'
+};
+
+const DEFAULT_VISIBILITY_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BATCH_SIZE = 10;
+
+/**
+ * Parse a stored item; KV may return JSON values already deserialized
+ * @param {string|Object} value - Stored value
+ * @returns {Object|null} - Queue item
+ */
+function parseItem(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Get the queue settings from the environment
+ * @returns {Object} - { visibilityTimeoutMs, maxAttempts }
+ */
+function getQueueSettings() {
+  return {
+    visibilityTimeoutMs: Number(process.env.QUEUE_VISIBILITY_TIMEOUT_MS) || DEFAULT_VISIBILITY_TIMEOUT_MS,
+    maxAttempts: Number(process.env.QUEUE_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS
+  };
+}
+
+/**
+ * Durably enqueue a verified webhook event
+ * Throws on storage errors so the caller can refuse the delivery and let Square redeliver
+ * @param {Object} event - The webhook event
+ * @returns {Promise<boolean>} - False if the event was already queued
+ */
+async function enqueueEvent(event) {
+  if (!event || !event.event_id) {
+    throw new Error('Cannot enqueue an event without an event_id');
+  }
+
+  const store = getStorageBackend();
+  const item = {
+    event_id: event.event_id,
+    event,
+    enqueued_at: new Date().toISOString(),
+    attempts: 0,
+    last_error: null
+  };
+
+  // NX so a redelivery of a queued event doesn't reset its progress
+  const created = await store.set(`${PREFIX.ITEM}${event.event_id}`, JSON.stringify(item), { nx: true });
+  if (created === null) {
+    // An earlier delivery may have died between the two writes; re-index its item so it isn't stranded
+    if ((await store.zscore(PREFIX.PENDING, event.event_id)) === null) {
+      await store.zadd(PREFIX.PENDING, { score: Date.now(), member: event.event_id });
+    }
+    return false;
+  }
+
+  await store.zadd(PREFIX.PENDING, { score: Date.now(), member: event.event_id });
+  return true;
+}
+
+/**
+ * Try to lease one queued event
+ * @param {string} eventId - The unique ID of the webhook event
+ * @param {number} visibilityTimeoutMs - How long the lease hides the event from other workers
+ * @returns {Promise<Object|null>} - Lease { eventId, token, item }, or null if unavailable
+ */
+async function claimEvent(eventId, visibilityTimeoutMs = getQueueSettings().visibilityTimeoutMs) {
+  const store = getStorageBackend();
+  const token = crypto.randomUUID();
+
+  const acquired = await store.set(`${PREFIX.LEASE}${eventId}`, token, { nx: true, px: visibilityTimeoutMs });
+  if (acquired === null) {
+    return null;
+  }
+
+  const item = parseItem(await store.get(`${PREFIX.ITEM}${eventId}`));
+  if (!item) {
+    // Acked by another worker between listing and claiming
+    await store.zrem(PREFIX.PENDING, eventId);
+    await store.del(`${PREFIX.LEASE}${eventId}`);
+    return null;
+  }
+
+  item.attempts = (item.attempts || 0) + 1;
+  item.leased_at = new Date().toISOString();
+  await store.set(`${PREFIX.ITEM}${eventId}`, JSON.stringify(item));
+
+  // Hide the event until the lease runs out; it reappears if the worker never acks
+  await store.zadd(PREFIX.PENDING, { score: Date.now() + visibilityTimeoutMs, member: eventId });
+
+  return { eventId, token, item };
+}
+
+/**
+ * Lease up to `limit` visible events
+ * @param {Object} options - { limit, visibilityTimeoutMs }
+ * @returns {Promise<Array<Object>>} - Leases
+ */
+async function claimEvents({ limit = DEFAULT_BATCH_SIZE, visibilityTimeoutMs = getQueueSettings().visibilityTimeoutMs } = {}) {
+  const ids = await getStorageBackend().zrange(PREFIX.PENDING, 0, Date.now(), {
+    byScore: true,
+    offset: 0,
+    count: limit
+  });
+
+  const leases = [];
+  for (const id of ids) {
+    const lease = await claimEvent(id, visibilityTimeoutMs);
+    if (lease) leases.push(lease);
+  }
+  return leases;
+}
+
+/**
+ * Check that a lease is still held by this worker
+ * @param {Object} lease - Lease from claimEvent
+ * @returns {Promise<boolean>} - True if the lease is current
+ */
+async function holdsLease(lease) {
+  return (await getStorageBackend().get(`${PREFIX.LEASE}${lease.eventId}`)) === lease.token;
+}
+
+/**
+ * Acknowledge a leased event: it is done and leaves the queue
+ * @param {Object} lease - Lease from claimEvent
+ * @returns {Promise<boolean>} - False if the lease had expired (another worker may own the event)
+ */
+async function ackEvent(lease) {
+  const store = getStorageBackend();
+  if (!(await holdsLease(lease))) {
+    console.warn(JSON.stringify({
+      level: 'warn',
+      event: 'queue_ack_lease_lost',
+      event_id: lease.eventId,
+      timestamp: new Date().toISOString()
+    }));
+    return false;
+  }
+
+  await store.zrem(PREFIX.PENDING, lease.eventId);
+  await store.del(`${PREFIX.ITEM}${lease.eventId}`, `${PREFIX.LEASE}${lease.eventId}`);
+  return true;
+}
+
+/**
+ * Return a leased event to the queue after a crash-like failure
+ * Events that used up their attempts move to the failed-events store
+ * @param {Object} lease - Lease from claimEvent
+ * @param {Error} error - What went wrong
+ * @returns {Promise<boolean>} - False if the lease had expired
+ */
+async function nackEvent(lease, error) {
+  const store = getStorageBackend();
+  if (!(await holdsLease(lease))) {
+    return false;
+  }
+
+  const item = { ...lease.item, last_error: error?.message || null };
+
+  if (item.attempts >= getQueueSettings().maxAttempts) {
+    await storeFailedEvent(item.event, new Error(`Queue attempts exhausted: ${item.last_error}`));
+    await store.zrem(PREFIX.PENDING, lease.eventId);
+    await store.del(`${PREFIX.ITEM}${lease.eventId}`, `${PREFIX.LEASE}${lease.eventId}`);
+    return true;
+  }
+
+  await store.set(`${PREFIX.ITEM}${lease.eventId}`, JSON.stringify(item));
+  await store.zadd(PREFIX.PENDING, {
+    score: Date.now() + computeBackoffMs(item.attempts - 1, { baseDelaySeconds: 5, maxDelaySeconds: 300 }),
+    member: lease.eventId
+  });
+  await store.del(`${PREFIX.LEASE}${lease.eventId}`);
+  return true;
+}
+
+/**
+ * Process one leased event through the pipeline and ack or nack it
+ * @param {Object} lease - Lease from claimEvent
+ * @returns {Promise<Object>} - { event_id, status }
+ */
+async function processLease(lease) {
+  // A second attempt means an earlier worker died mid-run after claiming the event,
+  // so bypass the duplicate check; delivery records stop re-sends to finished destinations
+  const mode = lease.item.attempts > 1 ? PROCESSING_MODES.REPLAY : PROCESSING_MODES.LIVE;
+
+  try {
+    // Pipeline failures are recorded in the failed-events store, so the queue's job is done;
+    // if that record can't be written, processEvent throws and the event is nacked instead
+    const outcome = await processEvent(lease.item.event, { mode });
+    await ackEvent(lease);
+    return { event_id: lease.eventId, status: outcome.status };
+  } catch (error) {
+    console.error(JSON.stringify({
+      level: 'error',
+      event: 'queue_processing_crashed',
+      event_id: lease.eventId,
+      attempts: lease.item.attempts,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }));
+    await nackEvent(lease, error);
+    return { event_id: lease.eventId, status: 'requeued' };
+  }
+}
+
+/**
+ * Drain visible events from the queue
+ * @param {Object} options - Drain options
+ * @param {string} options.eventId - Only process this event (used right after enqueueing)
+ * @param {number} options.limit - Maximum number of events to process
+ * @returns {Promise<Array<Object>>} - Per-event results
+ */
+async function drainQueue({ eventId = null, limit = DEFAULT_BATCH_SIZE } = {}) {
+  const leases = eventId
+    ? [await claimEvent(eventId)].filter(Boolean)
+    : await claimEvents({ limit });
+
+  const results = [];
+  for (const lease of leases) {
+    results.push(await processLease(lease));
+  }
+  return results;
+}
+
+/**
+ * Get queue depth for monitoring
+ * @returns {Promise<Object>} - { pending, visible, delayed } (delayed = leased or backing off)
+ */
+async function getQueueStats() {
+  const store = getStorageBackend();
+  const pending = await store.zcard(PREFIX.PENDING);
+  const visible = (await store.zrange(PREFIX.PENDING, 0, Date.now(), { byScore: true })).length;
+  return { pending, visible, delayed: pending - visible };
+}
+
+/**
+ * Start an in-process worker loop (standalone server)
+ * @param {Object} options - { intervalMs, limit }
+ * @returns {Object} - { stop: async () => {} } resolves once the current batch finishes
+ */
+function startQueueWorker({ intervalMs = 5000, limit = DEFAULT_BATCH_SIZE } = {}) {
+  let stopped = false;
+  let timer = null;
+  let current = Promise.resolve();
+
+  const loop = () => {
+    current = drainQueue({ limit })
+      .catch(error => console.error('Queue worker error:', error))
+      .finally(() => {
+        if (!stopped) timer = setTimeout(loop, intervalMs);
+      });
+  };
+
+  timer = setTimeout(loop, intervalMs);
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      await current;
+    }
+  };
+}
+
+module.exports = {
+  enqueueEvent,
+  claimEvent,
+  claimEvents,
+  ackEvent,
+  nackEvent,
+  drainQueue,
+  getQueueStats,
+  startQueueWorker
+};
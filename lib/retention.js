@@ -0,0 +1,83 @@
+/**
+ * Idempotency retention window
+ * How long event markers are kept, so redeliveries inside the window are recognized.
+ * Square may redeliver for up to 72 hours, which is the default.
+ */
+const { matchesEventType } = require('./event-types');
+
+const DEFAULT_RETENTION_HOURS = 72;
+
+/**
+ * Parse the EVENT_RETENTION_BY_TYPE value
+ * Format: JSON object of event type pattern to hours, e.g. { "order.*": 168, "inventory.count.updated": 24 }
+ * @param {string} value - The raw JSON value
+ * @returns {Array<Object>} - [{ pattern, hours }]
+ * @throws {Error} - If the value is malformed
+ */
+function parseRetentionByType(value) {
+  const entries = JSON.parse(value);
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error('EVENT_RETENTION_BY_TYPE must be a JSON object');
+  }
+
+  return Object.entries(entries).map(([pattern, hours]) => {
+    if (typeof hours !== 'number' || !(hours > 0)) {
+      throw new Error(`Retention for ${pattern} must be a positive number of hours`);
+    }
+    return { pattern, hours };
+  });
+}
+
+/**
+ * Get the retention policy from the environment
+ * @returns {Object} - { defaultHours, byType: [{ pattern, hours }] }
+ */
+function getRetentionPolicy() {
+  let byType = [];
+  if (process.env.EVENT_RETENTION_BY_TYPE) {
+    try {
+      byType = parseRetentionByType(process.env.EVENT_RETENTION_BY_TYPE);
+    } catch (error) {
+      console.error('Invalid EVENT_RETENTION_BY_TYPE:', error.message);
+    }
+  }
+
+  return {
+    defaultHours: Number(process.env.EVENT_RETENTION_HOURS) || DEFAULT_RETENTION_HOURS,
+    byType
+  };
+}
+
+/**
+ * Get the retention for an event type
+ * An exact type wins over a prefix pattern, and a longer prefix over a shorter one
+ * @param {string} eventType - The Square event type
+ * @returns {number} - Retention in seconds
+ */
+function getRetentionSeconds(eventType) {
+  const policy = getRetentionPolicy();
+  const match = policy.byType
+    .filter(entry => matchesEventType([entry.pattern], eventType))
+    .sort((a, b) => {
+      const exact = Number(!b.pattern.includes('*')) - Number(!a.pattern.includes('*'));
+      return exact || b.pattern.length - a.pattern.length;
+    })[0];
+
+  return Math.round((match ? match.hours : policy.defaultHours) * 3600);
+}
+
+/**
+ * Get the longest configured retention, for data that must outlive every marker
+ * @returns {number} - Retention in seconds
+ */
+function getMaxRetentionSeconds() {
+  const policy = getRetentionPolicy();
+  return Math.round(Math.max(policy.defaultHours, ...policy.byType.map(entry => entry.hours)) * 3600);
+}
+
+module.exports = {
+  parseRetentionByType,
+  getRetentionPolicy,
+  getRetentionSeconds,
+  getMaxRetentionSeconds
+};
@@ -0,0 +1,61 @@
+/**
+ * Retry scheduling for failed events
+ * Exponential backoff with jitter, capped at a maximum delay and attempt count
+ */
+
+const DEFAULT_BASE_DELAY_SECONDS = 300;
+const DEFAULT_MAX_DELAY_SECONDS = 6 * 3600;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+/**
+ * Get the retry policy from the environment
+ * @returns {Object} - { baseDelaySeconds, maxDelaySeconds, maxAttempts }
+ */
+function getRetryPolicy() {
+  return {
+    baseDelaySeconds: Number(process.env.RETRY_BASE_DELAY_SECONDS) || DEFAULT_BASE_DELAY_SECONDS,
+    maxDelaySeconds: Number(process.env.RETRY_MAX_DELAY_SECONDS) || DEFAULT_MAX_DELAY_SECONDS,
+    maxAttempts: Number(process.env.RETRY_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS
+  };
+}
+
+/**
+ * Compute the delay before the next attempt
+ * Uses "equal jitter": half the exponential delay is fixed, the other half random,
+ * so retries of events that failed together spread out without retrying too early
+ * @param {number} retryCount - Number of retries already made
+ * @param {Object} policy - Retry policy (defaults to the configured one)
+ * @returns {number} - Delay in milliseconds
+ */
+function computeBackoffMs(retryCount, policy = getRetryPolicy()) {
+  const exponential = policy.baseDelaySeconds * Math.pow(2, retryCount);
+  const capped = Math.min(exponential, policy.maxDelaySeconds) * 1000;
+  const half = capped / 2;
+  return Math.round(half + Math.random() * half);
+}
+
+/**
+ * Compute when the next attempt should run
+ * @param {number} retryCount - Number of retries already made
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Timestamp in milliseconds
+ */
+function computeNextAttemptAt(retryCount, now = Date.now()) {
+  return now + computeBackoffMs(retryCount);
+}
+
+/**
+ * Check whether an event has used up its retries
+ * @param {number} retryCount - Number of retries already made
+ * @returns {boolean} - True if the event should be dead-lettered
+ */
+function isExhausted(retryCount) {
+  return retryCount >= getRetryPolicy().maxAttempts;
+}
+
+module.exports = {
+  getRetryPolicy,
+  computeBackoffMs,
+  computeNextAttemptAt,
+  isExhausted
+};
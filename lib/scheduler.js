@@ -0,0 +1,154 @@
+/**
+ * In-process cron scheduler
+ * Stands in for Vercel cron jobs when running the standalone server.
+ * Supports standard 5-field expressions: numbers, '*', lists (1,2), ranges (1-5) and steps (*\/15, 0-30/5).
+ */
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} field - Field expression
+ * @param {Object} range - { name, min, max }
+ * @returns {Set<number>} - Matching values
+ */
+function parseField(field, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron ${name} field: ${field}`);
+    }
+
+    let start = min;
+    let end = max;
+    if (rangePart !== '*') {
+      const [from, to] = rangePart.split('-').map(Number);
+      start = from;
+      end = to === undefined ? (stepPart === undefined ? from : max) : to;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field: ${field}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - Cron expression, e.g. '*\/15 * * * *'
+ * @returns {Object} - Parsed expression with a matches(date) method
+ * @throws {Error} - If the expression is malformed
+ */
+function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: ${expression}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) =>
+    parseField(field, FIELD_RANGES[index])
+  );
+
+  return {
+    expression,
+    matches(date) {
+      return minutes.has(date.getUTCMinutes()) &&
+        hours.has(date.getUTCHours()) &&
+        daysOfMonth.has(date.getUTCDate()) &&
+        months.has(date.getUTCMonth() + 1) &&
+        daysOfWeek.has(date.getUTCDay());
+    }
+  };
+}
+
+/**
+ * Create a scheduler that runs jobs on cron schedules (evaluated in UTC, like Vercel)
+ * @param {Array<Object>} jobs - [{ name, schedule, run: async () => {} }]
+ * @returns {Object} - { start, stop, idle }
+ */
+function createScheduler(jobs) {
+  const parsed = jobs.map(job => ({ ...job, cron: parseCron(job.schedule) }));
+  const running = new Set();
+  let timer = null;
+
+  async function runJob(job) {
+    const startTime = Date.now();
+    try {
+      await job.run();
+      console.log(JSON.stringify({
+        level: 'info',
+        event: 'scheduled_job_complete',
+        job: job.name,
+        duration_ms: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.error(JSON.stringify({
+        level: 'error',
+        event: 'scheduled_job_failed',
+        job: job.name,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }));
+    }
+  }
+
+  function tick() {
+    const now = new Date();
+    for (const job of parsed) {
+      // Skip a run rather than overlap with the previous one
+      if (job.cron.matches(now) && !running.has(job.name)) {
+        running.add(job.name);
+        runJob(job).finally(() => running.delete(job.name));
+      }
+    }
+    scheduleNextTick();
+  }
+
+  function scheduleNextTick() {
+    // Fire just after the start of the next minute
+    const delay = 60000 - (Date.now() % 60000) + 50;
+    timer = setTimeout(tick, delay);
+  }
+
+  return {
+    start() {
+      if (!timer) scheduleNextTick();
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    /**
+     * Wait for jobs that are currently running
+     * @returns {Promise<void>}
+     */
+    async idle() {
+      while (running.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+  };
+}
+
+module.exports = {
+  parseCron,
+  createScheduler
+};
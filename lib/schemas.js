@@ -0,0 +1,234 @@
+/**
+ * Event schema validation per Square event type
+ * Small JSON-schema-style validator (type, required, properties, items, enum, minLength, minimum)
+ * so malformed payloads are rejected up front instead of failing deep inside a transform.
+ */
+const { ValidationError } = require('./errors');
+
+/**
+ * Money amount in the smallest currency unit
+ */
+const MONEY = {
+  type: 'object',
+  required: ['amount'],
+  properties: {
+    amount: { type: 'integer' },
+    currency: { type: 'string', minLength: 3 }
+  }
+};
+
+const ID = { type: 'string', minLength: 1 };
+
+const ORDER = {
+  type: 'object',
+  properties: {
+    id: ID,
+    location_id: { type: 'string' },
+    customer_id: { type: 'string' },
+    state: { type: 'string' },
+    total_money: MONEY,
+    total_tax_money: MONEY,
+    total_service_charge_money: MONEY,
+    line_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          quantity: { type: 'string' },
+          catalog_object_id: { type: 'string' },
+          base_price_money: MONEY
+        }
+      }
+    }
+  }
+};
+
+const PAYMENT = {
+  type: 'object',
+  properties: {
+    id: ID,
+    status: { type: 'string' },
+    order_id: { type: 'string' },
+    location_id: { type: 'string' },
+    amount_money: MONEY
+  }
+};
+
+const REFUND = {
+  type: 'object',
+  properties: {
+    id: ID,
+    status: { type: 'string' },
+    payment_id: { type: 'string' },
+    order_id: { type: 'string' },
+    location_id: { type: 'string' },
+    reason: { type: 'string' },
+    amount_money: MONEY
+  }
+};
+
+const CUSTOMER = {
+  type: 'object',
+  properties: {
+    id: ID,
+    email_address: { type: 'string' },
+    given_name: { type: 'string' },
+    family_name: { type: 'string' }
+  }
+};
+
+const INVENTORY = {
+  type: 'object',
+  required: ['inventory_counts'],
+  properties: {
+    inventory_counts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['catalog_object_id', 'quantity'],
+        properties: {
+          catalog_object_id: ID,
+          location_id: { type: 'string' },
+          state: { type: 'string' },
+          quantity: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Schemas keyed by event type prefix; the envelope schema applies to every event
+ */
+const OBJECT_SCHEMAS = {
+  'order.': ORDER,
+  'payment.': PAYMENT,
+  'refund.': REFUND,
+  'customer.': CUSTOMER,
+  'inventory.': INVENTORY
+};
+
+/**
+ * Build the schema for a full webhook payload
+ * @param {Object} objectSchema - Schema for data.object, or null for unsupported types
+ * @returns {Object} - Envelope schema
+ */
+function envelope(objectSchema) {
+  return {
+    type: 'object',
+    required: ['event_id', 'type'].concat(objectSchema ? ['data'] : []),
+    properties: {
+      event_id: ID,
+      type: { type: 'string', minLength: 1 },
+      merchant_id: { type: 'string' },
+      created_at: { type: 'string' },
+      data: objectSchema
+        ? {
+          type: 'object',
+          required: ['id', 'object'],
+          properties: {
+            type: { type: 'string' },
+            id: ID,
+            object: objectSchema
+          }
+        }
+        : { type: 'object' }
+    }
+  };
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {any} value - Any value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Field path of the value, e.g. 'data.object.total_money.amount'
+ * @returns {Array<Object>} - Errors as [{ path, message }]; empty when valid
+ */
+function validateSchema(value, schema, path = '') {
+  const errors = [];
+  const at = key => (path ? `${path}.${key}` : key);
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      return [{ path: path || '(root)', message: `expected ${allowed.join(' or ')}, got ${actual}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: path || '(root)', message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+    errors.push({ path: path || '(root)', message: `must be at least ${schema.minLength} characters` });
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path: path || '(root)', message: `must be >= ${schema.minimum}` });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: at(key), message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, at(key)));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Get the payload schema for an event type
+ * @param {string} eventType - The Square event type
+ * @returns {Object} - Envelope schema with the matching data.object schema
+ */
+function getEventSchema(eventType) {
+  const prefix = Object.keys(OBJECT_SCHEMAS).find(candidate => eventType?.startsWith(candidate));
+  return envelope(prefix ? OBJECT_SCHEMAS[prefix] : null);
+}
+
+/**
+ * Validate a webhook payload against the schema for its event type
+ * @param {Object} webhookData - The webhook event data
+ * @throws {ValidationError} - With the failing field paths in error.errors
+ */
+function validateEvent(webhookData) {
+  const errors = validateSchema(webhookData, getEventSchema(webhookData?.type));
+  if (errors.length > 0) {
+    const summary = errors.map(error => `${error.path} ${error.message}`).join('; ');
+    throw new ValidationError(`Invalid ${webhookData?.type || 'webhook'} payload: ${summary}`, errors);
+  }
+}
+
+module.exports = {
+  validateSchema,
+  getEventSchema,
+  validateEvent
+};
@@ -0,0 +1,324 @@
+/**
+ * Standalone Node HTTP server
+ * Hosts the api/ handlers without Vercel: same routes and crons as vercel.json,
+ * the Vercel request/response helpers the handlers rely on, and graceful shutdown.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const querystring = require('querystring');
+const { createScheduler } = require('./scheduler');
+const { closeStorageBackend } = require('./storage-backends');
+const { startQueueWorker } = require('./queue');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const API_DIR = path.join(ROOT_DIR, 'api');
+const BODY_LIMIT_BYTES = 1024 * 1024;
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+/**
+ * Load the Vercel project configuration
+ * @returns {Object} - Parsed vercel.json
+ */
+function loadVercelConfig() {
+  return JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'vercel.json'), 'utf8'));
+}
+
+/**
+ * Load every handler in api/, keyed by route path (/api/<name>)
+ * @returns {Map<string, Function>} - Handlers
+ */
+function loadHandlers() {
+  const handlers = new Map();
+  for (const file of fs.readdirSync(API_DIR)) {
+    if (file.endsWith('.js')) {
+      handlers.set(`/api/${file.slice(0, -3)}`, require(path.join(API_DIR, file)));
+    }
+  }
+  return handlers;
+}
+
+/**
+ * Build the routing table: explicit vercel.json routes first, then filesystem routes
+ * @param {Object} vercelConfig - Parsed vercel.json
+ * @param {Map<string, Function>} handlers - Handlers keyed by /api/<name>
+ * @returns {Array<Object>} - [{ pattern, handler, methods, headers }]
+ */
+function buildRoutes(vercelConfig, handlers) {
+  const routes = (vercelConfig.routes || []).map(route => {
+    const handler = handlers.get(route.dest.replace(/\.js$/, ''));
+    if (!handler) {
+      throw new Error(`Route ${route.src} points to a missing handler: ${route.dest}`);
+    }
+    return {
+      pattern: new RegExp(`^${route.src}$`),
+      handler,
+      methods: route.methods || null,
+      headers: route.headers || {}
+    };
+  });
+
+  for (const [routePath, handler] of handlers) {
+    routes.push({
+      pattern: new RegExp(`^${routePath}(\\.js)?$`),
+      handler,
+      methods: null,
+      headers: {}
+    });
+  }
+
+  return routes;
+}
+
+/**
+ * Read and parse a request body the way Vercel does for handlers that don't disable body parsing
+ * @param {Object} req - HTTP request
+ * @returns {Promise<any>} - Parsed body, or undefined when empty
+ */
+function parseBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > BODY_LIMIT_BYTES) {
+        const error = new Error('Request body too large');
+        error.statusCode = 413;
+        reject(error);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) return resolve(undefined);
+
+      const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+      try {
+        if (contentType === 'application/json') {
+          resolve(JSON.parse(raw));
+        } else if (contentType === 'application/x-www-form-urlencoded') {
+          resolve(querystring.parse(raw));
+        } else {
+          resolve(raw);
+        }
+      } catch (error) {
+        error.statusCode = 400;
+        error.message = 'Invalid JSON';
+        reject(error);
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Add the Vercel response helpers: status(), json() and send()
+ * @param {Object} res - HTTP response
+ */
+function enhanceResponse(res) {
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+
+  res.json = body => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+
+  res.send = body => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      return res.json(body);
+    }
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+    }
+    res.end(body);
+    return res;
+  };
+}
+
+/**
+ * Create the HTTP server and its scheduler
+ * @param {Object} options - Server options
+ * @param {boolean} options.enableScheduler - Run vercel.json crons in-process
+ * @returns {Object} - { server, scheduler, inFlight }
+ */
+function createServer({ enableScheduler = true } = {}) {
+  const vercelConfig = loadVercelConfig();
+  const routes = buildRoutes(vercelConfig, loadHandlers());
+  const inFlight = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes.find(candidate =>
+      candidate.pattern.test(url.pathname) && (!candidate.methods || candidate.methods.includes(req.method))
+    );
+
+    enhanceResponse(res);
+
+    if (!route) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const request = (async () => {
+      try {
+        req.query = Object.fromEntries(url.searchParams);
+
+        // Handlers that verify signatures read the raw body themselves
+        if (route.handler.config?.api?.bodyParser !== false) {
+          req.body = await parseBody(req);
+        }
+
+        for (const [name, value] of Object.entries(route.headers)) {
+          res.setHeader(name, value);
+        }
+
+        await route.handler(req, res);
+      } catch (error) {
+        console.error('Unhandled error in request handler:', error);
+        if (!res.headersSent) {
+          res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+        }
+      }
+    })();
+
+    inFlight.add(request);
+    request.finally(() => inFlight.delete(request));
+  });
+
+  // Crons call their path over HTTP, just like Vercel does
+  const scheduler = createScheduler(
+    enableScheduler
+      ? (vercelConfig.crons || []).map(cron => ({
+        name: cron.path,
+        schedule: cron.schedule,
+        run: () => invokeCron(server, cron.path)
+      }))
+      : []
+  );
+
+  return { server, scheduler, inFlight };
+}
+
+/**
+ * Call a cron path on the running server
+ * @param {Object} server - HTTP server
+ * @param {string} cronPath - Path from vercel.json, may include a query string
+ * @returns {Promise<number>} - Response status code
+ */
+function invokeCron(server, cronPath) {
+  const { port } = server.address();
+
+  return new Promise((resolve, reject) => {
+    const req = http.get({
+      host: '127.0.0.1',
+      port,
+      path: cronPath,
+      // Send CRON_SECRET the way Vercel does, for crons that require it
+      headers: {
+        'User-Agent': 'vercel-cron/1.0',
+        ...(process.env.CRON_SECRET ? { Authorization: `Bearer ${process.env.CRON_SECRET}` } : {})
+      }
+    }, res => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 400) {
+          reject(new Error(`Cron ${cronPath} responded with ${res.statusCode}`));
+        } else {
+          resolve(res.statusCode);
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start the server and install signal handlers for graceful shutdown
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {boolean} options.enableScheduler - Run vercel.json crons in-process
+ * @param {number} options.queueWorkerIntervalMs - Poll interval of the queue worker loop (0 disables it)
+ * @returns {Object} - { server, scheduler, shutdown }
+ */
+function startServer({ port = 3000, enableScheduler = true, queueWorkerIntervalMs = 5000 } = {}) {
+  const { server, scheduler, inFlight } = createServer({ enableScheduler });
+  let queueWorker = null;
+  let shuttingDown = false;
+
+  async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'server_shutdown_start',
+      signal,
+      in_flight: inFlight.size,
+      timestamp: new Date().toISOString()
+    }));
+
+    scheduler.stop();
+    const queueWorkerStopped = queueWorker ? queueWorker.stop() : Promise.resolve();
+    server.close();
+    if (typeof server.closeIdleConnections === 'function') {
+      server.closeIdleConnections();
+    }
+
+    // Let in-flight requests and jobs finish, but don't hang forever
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(resolve, SHUTDOWN_TIMEOUT_MS);
+    });
+    await Promise.race([
+      Promise.allSettled([...inFlight, scheduler.idle(), queueWorkerStopped]),
+      deadline
+    ]);
+    clearTimeout(timer);
+
+    await closeStorageBackend();
+
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'server_shutdown_complete',
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      shutdown(signal).then(() => process.exit(0));
+    });
+  }
+
+  server.listen(port, () => {
+    scheduler.start();
+    if (queueWorkerIntervalMs > 0) {
+      queueWorker = startQueueWorker({ intervalMs: queueWorkerIntervalMs });
+    }
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'server_started',
+      port: server.address().port,
+      scheduler: enableScheduler,
+      queue_worker: queueWorkerIntervalMs > 0,
+      timestamp: new Date().toISOString()
+    }));
+  });
+
+  return { server, scheduler, shutdown };
+}
+
+module.exports = {
+  createServer,
+  startServer
+};
@@ -3,53 +3,212 @@
  */
 const crypto = require('crypto');
 
+/**
+ * Supported signature schemes
+ * - square: HMAC-SHA256 over notification URL + body, base64 digest (what Square sends)
+ * - legacy: HMAC-SHA256 over body only, hex digest
+ */
+const SIGNATURE_SCHEMES = {
+  SQUARE: 'square',
+  LEGACY: 'legacy'
+};
+
+/**
+ * Get the signature options configured for this deployment
+ * @returns {Object} - Signature scheme and notification URL
+ */
+function getSignatureOptions() {
+  return {
+    scheme: process.env.SQUARE_SIGNATURE_SCHEME || SIGNATURE_SCHEMES.SQUARE,
+    notificationUrl: process.env.SQUARE_NOTIFICATION_URL || null
+  };
+}
+
+/**
+ * Parse a signature key list
+ * Format: JSON array of { id, key, not_after? } where not_after is an ISO date
+ * after which the key is considered retired
+ * @param {string|Array<Object>} value - The raw JSON value, or an already parsed list
+ * @returns {Array<Object>} - Normalized key entries
+ * @throws {Error} - If the list is malformed
+ */
+function parseSignatureKeys(value) {
+  const entries = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Signature key list must be a non-empty JSON array');
+  }
+
+  const seenIds = new Set();
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry.key !== 'string' || entry.key.length === 0) {
+      throw new Error(`Signature key at index ${index} is missing a key`);
+    }
+
+    const id = entry.id ? String(entry.id) : `key-${index}`;
+    if (seenIds.has(id)) {
+      throw new Error(`Duplicate signature key id: ${id}`);
+    }
+    seenIds.add(id);
+
+    let notAfter = null;
+    if (entry.not_after) {
+      notAfter = new Date(entry.not_after);
+      if (isNaN(notAfter.getTime())) {
+        throw new Error(`Signature key ${id} has an invalid not_after date`);
+      }
+    }
+
+    return { id, key: entry.key, notAfter };
+  });
+}
+
+/**
+ * Get the signature keys configured for this deployment, in the order they should be tried
+ * SQUARE_SIGNATURE_KEYS takes precedence over the single SQUARE_SIGNATURE_KEY
+ * @returns {Array<Object>} - Key entries
+ */
+function getSignatureKeys() {
+  if (process.env.SQUARE_SIGNATURE_KEYS) {
+    try {
+      return parseSignatureKeys(process.env.SQUARE_SIGNATURE_KEYS);
+    } catch (error) {
+      console.error('Invalid SQUARE_SIGNATURE_KEYS:', error.message);
+      return [];
+    }
+  }
+
+  if (process.env.SQUARE_SIGNATURE_KEY) {
+    return [{ id: 'default', key: process.env.SQUARE_SIGNATURE_KEY, notAfter: null }];
+  }
+
+  return [];
+}
+
+/**
+ * Compute the signature for a payload using the given scheme
+ * @param {string} payload - The raw JSON payload as a string
+ * @param {string} signatureKey - The webhook signature key
+ * @param {Object} options - Signature options
+ * @param {string} options.scheme - 'square' or 'legacy'
+ * @param {string} options.notificationUrl - The notification URL registered with Square (square scheme only)
+ * @returns {string} - The computed signature
+ */
+function computeSignature(payload, signatureKey, options = {}) {
+  const { scheme = SIGNATURE_SCHEMES.SQUARE, notificationUrl } = options;
+  const hmac = crypto.createHmac('sha256', Buffer.from(signatureKey, 'utf8'));
+
+  if (scheme === SIGNATURE_SCHEMES.LEGACY) {
+    hmac.update(payload);
+    return hmac.digest('hex');
+  }
+
+  if (scheme !== SIGNATURE_SCHEMES.SQUARE) {
+    throw new Error(`Unknown signature scheme: ${scheme}`);
+  }
+
+  if (!notificationUrl) {
+    throw new Error('Notification URL is required for the square signature scheme');
+  }
+
+  // Square signs the notification URL followed by the raw body
+  hmac.update(notificationUrl + payload);
+  return hmac.digest('base64');
+}
+
+/**
+ * Decode a signature into digest bytes
+ * Buffer.from silently drops invalid characters, so the encoding is checked first
+ * @param {string} signature - Hex (legacy scheme) or base64 (square scheme) digest
+ * @param {string} scheme - 'square' or 'legacy'
+ * @returns {Buffer|null} - Digest bytes, or null if the signature isn't validly encoded
+ */
+function decodeSignature(signature, scheme = SIGNATURE_SCHEMES.SQUARE) {
+  if (typeof signature !== 'string') return null;
+
+  if (scheme === SIGNATURE_SCHEMES.LEGACY) {
+    return /^(?:[0-9a-fA-F]{2})+$/.test(signature) ? Buffer.from(signature, 'hex') : null;
+  }
+
+  return /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/.test(signature) && signature.length > 0
+    ? Buffer.from(signature, 'base64')
+    : null;
+}
+
 /**
  * Validates the signature of a Square webhook payload
  * @param {string} payload - The raw JSON payload as a string
  * @param {string} signature - The signature from the X-Square-HMACSHA256-Signature header
  * @param {string} signatureKey - The webhook signature key from Square dashboard
+ * @param {Object} options - Signature options (defaults to the configured scheme)
  * @returns {boolean} - True if signature is valid, false otherwise
  */
-function validateSignature(payload, signature, signatureKey) {
+function validateSignature(payload, signature, signatureKey, options = getSignatureOptions()) {
   if (!payload || !signature || !signatureKey) {
     console.error('Missing required parameters for signature validation');
     return false;
   }
 
   try {
-    // Create HMAC using the signature key
-    const hmac = crypto.createHmac('sha256', Buffer.from(signatureKey, 'utf8'));
-    
-    // Update HMAC with the payload
-    hmac.update(payload);
-    
-    // Get the digest in hex format
-    const calculatedSignature = hmac.digest('hex');
-    
-    // Compare the calculated signature with the provided signature
-    return crypto.timingSafeEqual(
-      Buffer.from(calculatedSignature, 'hex'),
-      Buffer.from(signature, 'hex')
-    );
+    const calculatedSignature = computeSignature(payload, signatureKey, options);
+
+    // Compare the digest bytes rather than their encodings, so e.g. uppercase hex still matches
+    const expected = decodeSignature(calculatedSignature, options.scheme);
+    const provided = decodeSignature(signature, options.scheme);
+
+    // timingSafeEqual requires equal lengths
+    if (!provided || expected.length !== provided.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(expected, provided);
   } catch (error) {
     console.error('Error validating signature:', error);
     return false;
   }
 }
 
+/**
+ * Validates a signature against a list of keys, trying them in order
+ * @param {string} payload - The raw JSON payload as a string
+ * @param {string} signature - The signature from the X-Square-HMACSHA256-Signature header
+ * @param {Array<Object>} keys - Key entries from getSignatureKeys()
+ * @param {Object} options - Signature options (defaults to the configured scheme)
+ * @returns {Object|null} - { keyId, retired } for the matching key, or null if none matched
+ */
+function validateSignatureWithKeys(payload, signature, keys, options = getSignatureOptions()) {
+  const now = Date.now();
+
+  for (const entry of keys) {
+    if (validateSignature(payload, signature, entry.key, options)) {
+      return {
+        keyId: entry.id,
+        retired: !!entry.notAfter && entry.notAfter.getTime() < now
+      };
+    }
+  }
+
+  return null;
+}
+
 /**
  * Generate a test signature for local testing
- * @param {Object} payload - The payload object
+ * @param {Object|string} payload - The payload object or raw JSON string
  * @param {string} signatureKey - The webhook signature key
+ * @param {Object} options - Signature options (defaults to the configured scheme)
  * @returns {string} - The generated signature
  */
-function generateTestSignature(payload, signatureKey) {
-  const hmac = crypto.createHmac('sha256', Buffer.from(signatureKey, 'utf8'));
-  hmac.update(JSON.stringify(payload));
-  return hmac.digest('hex');
+function generateTestSignature(payload, signatureKey, options = getSignatureOptions()) {
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return computeSignature(body, signatureKey, options);
 }
 
 module.exports = {
+  SIGNATURE_SCHEMES,
+  getSignatureOptions,
+  parseSignatureKeys,
+  getSignatureKeys,
+  computeSignature,
   validateSignature,
+  validateSignatureWithKeys,
   generateTestSignature
 };
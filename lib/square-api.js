@@ -1,67 +1,68 @@
 /**
  * Square API integration for data enrichment
  */
-const { Client, Environment } = require('square');
+const { getSquareClient, callSquare, isCircuitOpen, CircuitOpenError } = require('./square-client');
+const { getTenantForEvent } = require('./tenants');
+const { getAccessToken } = require('./oauth');
+const { CACHE_NAMESPACES, getCacheTtlSeconds, cached, cachedMany, invalidate } = require('./cache');
+
+// Orders without a known version can change under the same key, so cache them briefly
+const UNVERSIONED_ORDER_TTL_SECONDS = 60;
+
+// Events that only touch the cache and never call Square
+const CACHE_INVALIDATION_EVENTS = ['customer.updated', 'customer.deleted', 'catalog.version.updated'];
 
 /**
- * Initialize the Square client with proper configuration and timeouts
- * @returns {Object} - Square API client instance
+ * Log a failed lookup, staying quiet when the circuit breaker skipped it
+ * The breaker reports its own state in /health and logs when it opens
+ * @param {string} message - Log message
+ * @param {Error} error - The lookup error
  */
-function getSquareClient() {
-  const accessToken = process.env.SQUARE_ACCESS_TOKEN;
-  if (!accessToken) {
-    console.error('Square access token is not configured');
-    throw new Error('Square API access token is not configured');
-  }
-  
-  // Create Square client with timeout settings
-  const client = new Client({
-    accessToken: accessToken,
-    environment: process.env.NODE_ENV === 'production' 
-      ? Environment.Production 
-      : Environment.Sandbox,
-    userAgentDetail: 'Square-Webhook-Handler',
-    timeout: 10000 // 10 second timeout for all requests
-  });
-  
-  // Log initialization
-  console.log(JSON.stringify({
-    level: 'info',
-    event: 'square_client_initialized',
-    environment: process.env.NODE_ENV === 'production' ? 'production' : 'sandbox',
-    timestamp: new Date().toISOString()
-  }));
-  
-  return client;
+function logLookupError(message, error) {
+  if (error instanceof CircuitOpenError) return;
+  console.error(message, error);
 }
 
 /**
  * Enriches order data with full order details and customer information
+ * Orders and customers are read through the enrichment cache
  * @param {string} orderId - The Square order ID
  * @param {string} locationId - The Square location ID
+ * @param {Object} options - { version } of the order, when the webhook carries it, and the
+ *   tenant's { accessToken }
  * @returns {Promise<Object>} - Enriched order and customer data
  */
-async function enrichOrderData(orderId, locationId) {
+async function enrichOrderData(orderId, locationId, { version = null, accessToken } = {}) {
   if (!orderId) {
     console.error('Order ID is required for data enrichment');
     return null;
   }
   
   try {
-    const squareClient = getSquareClient();
+    // A given order version never changes, so it can be cached for the full TTL
+    const versioned = version !== null && version !== undefined;
+    const order = await cached(
+      CACHE_NAMESPACES.ORDER,
+      versioned ? `${orderId}:${version}` : orderId,
+      async () => {
+        // Retrieve detailed order information
+        const { result } = await callSquare('retrieveOrder', client => client.ordersApi.retrieveOrder(orderId), { accessToken });
+        return result.order;
+      },
+      versioned ? {} : { ttlSeconds: Math.min(getCacheTtlSeconds(), UNVERSIONED_ORDER_TTL_SECONDS) }
+    );
     
-    // Retrieve detailed order information
-    const { result } = await squareClient.ordersApi.retrieveOrder(orderId);
-    const { order } = result;
-    
-    // Get customer data if available
+    // Get customer data if available; the order is an SDK model (customerId)
     let customer = null;
-    if (order.customer_id) {
+    if (order.customerId) {
       try {
-        const { result: customerResult } = await squareClient.customersApi.retrieveCustomer(order.customer_id);
-        customer = customerResult.customer;
+        customer = await cached(CACHE_NAMESPACES.CUSTOMER, order.customerId, async () => {
+          const { result: customerResult } = await callSquare('retrieveCustomer',
+            client => client.customersApi.retrieveCustomer(order.customerId), { accessToken });
+          return customerResult.customer;
+        });
       } catch (customerError) {
-        console.error('Error retrieving customer data:', customerError);
+        logLookupError('Error retrieving customer data:', customerError);
         // Continue with order data even if customer data fails
       }
     }
@@ -71,7 +72,7 @@ async function enrichOrderData(orderId, locationId) {
       customer: customer
     };
   } catch (error) {
-    console.error('Error enriching order data:', error);
+    logLookupError('Error enriching order data:', error);
     return null;
   }
 }
@@ -79,20 +80,20 @@ async function enrichOrderData(orderId, locationId) {
 /**
  * Retrieves payment details for a payment
  * @param {string} paymentId - The Square payment ID
+ * @param {Object} options - The tenant's { accessToken }
  * @returns {Promise<Object>} - Payment details
  */
-async function getPaymentDetails(paymentId) {
+async function getPaymentDetails(paymentId, { accessToken } = {}) {
   if (!paymentId) {
     console.error('Payment ID is required');
     return null;
   }
   
   try {
-    const squareClient = getSquareClient();
-    const { result } = await squareClient.paymentsApi.getPayment(paymentId);
+    const { result } = await callSquare('getPayment', client => client.paymentsApi.getPayment(paymentId), { accessToken });
     return result.payment;
   } catch (error) {
-    console.error('Error retrieving payment details:', error);
+    logLookupError('Error retrieving payment details:', error);
     return null;
   }
 }
@@ -100,27 +101,126 @@ async function getPaymentDetails(paymentId) {
 /**
  * Retrieves item catalog information
  * @param {Array<string>} itemVariationIds - Array of item variation IDs
+ * @param {Object} options - The tenant's { accessToken }
  * @returns {Promise<Object>} - Catalog items information
  */
-async function getCatalogItems(itemVariationIds) {
+async function getCatalogItems(itemVariationIds, { accessToken } = {}) {
   if (!itemVariationIds || !itemVariationIds.length) {
     return null;
   }
   
   try {
-    const squareClient = getSquareClient();
-    const { result } = await squareClient.catalogApi.batchRetrieveCatalogObjects({
+    const { result } = await callSquare('batchRetrieveCatalogObjects', client => client.catalogApi.batchRetrieveCatalogObjects({
       objectIds: itemVariationIds,
       includeRelatedObjects: true
-    });
+    }), { accessToken });
     
     return result;
   } catch (error) {
-    console.error('Error retrieving catalog items:', error);
+    logLookupError('Error retrieving catalog items:', error);
     return null;
   }
 }
 
+/**
+ * Build the category path of a catalog category, from the root down
+ * @param {Object} category - CATEGORY catalog object
+ * @returns {Array<string>} - Category names, most general first
+ */
+function getCategoryPath(category) {
+  const data = category?.categoryData;
+  if (!data) return [];
+  
+  // pathToRoot runs from the parent up to the root
+  const ancestors = (data.pathToRoot || []).map(node => node.categoryName).filter(Boolean).reverse();
+  return data.name ? ancestors.concat(data.name) : ancestors;
+}
+
+/**
+ * Find a brand custom attribute on a catalog item
+ * @param {Object} item - ITEM catalog object
+ * @returns {string|null} - Brand name
+ */
+function getItemBrand(item) {
+  const attribute = Object.values(item?.customAttributeValues || {})
+    .find(value => /^brand$/i.test(value.key || '') || /^brand$/i.test(value.name || ''));
+  return attribute?.stringValue || null;
+}
+
+/**
+ * Look up catalog variations and summarize them with their parent item and category
+ * Summaries are read through the enrichment cache
+ * @param {Array<string>} variationIds - Array of item variation IDs
+ * @param {Object} options - The tenant's { accessToken }
+ * @returns {Promise<Object>} - Map of variation ID to
+ *   { item_id, item_name, variation_name, sku, categories, brand }
+ */
+async function getCatalogSummaries(variationIds, { accessToken } = {}) {
+  return cachedMany(CACHE_NAMESPACES.CATALOG, variationIds || [], async ids => {
+    const result = await getCatalogItems(ids, { accessToken });
+    if (!result) {
+      return null;
+    }
+    
+    // The SDK returns camelCase models (relatedObjects, itemVariationData, itemData)
+    const related = new Map();
+    for (const object of result.relatedObjects || []) {
+      related.set(object.id, object);
+    }
+    
+    const summaries = {};
+    for (const object of result.objects || []) {
+      if (object.type !== 'ITEM_VARIATION') continue;
+      
+      const variation = object.itemVariationData || {};
+      const item = related.get(variation.itemId);
+      const itemData = item?.itemData || {};
+      // Prefer the reporting category, which is what Square's own reports group by
+      const categoryId = itemData.reportingCategory?.id || itemData.categories?.[0]?.id || itemData.categoryId;
+      
+      summaries[object.id] = {
+        item_id: variation.itemId || null,
+        item_name: itemData.name || null,
+        variation_name: variation.name || null,
+        sku: variation.sku || null,
+        categories: getCategoryPath(related.get(categoryId)),
+        brand: getItemBrand(item)
+      };
+    }
+    
+    return summaries;
+  });
+}
+
+/**
+ * Attach catalog summaries for an order's line items to the enrichment
+ * @param {Object} enrichment - Enrichment block to add `catalog` to
+ * @param {Object} order - Square order
+ * @param {number} timeoutMs - Timeout for the catalog lookup
+ * @param {Object} options - The tenant's { accessToken }
+ * @returns {Promise<void>}
+ */
+async function attachLineItemCatalog(enrichment, order, timeoutMs, { accessToken } = {}) {
+  // Enriched orders are SDK models (lineItems, catalogObjectId)
+  const variationIds = (order?.lineItems || order?.line_items || [])
+    .map(item => item.catalogObjectId || item.catalog_object_id)
+    .filter(Boolean);
+  if (!enrichment || variationIds.length === 0) return;
+  
+  try {
+    const catalog = await Promise.race([
+      getCatalogSummaries(variationIds, { accessToken }),
+      createTimeout(timeoutMs, 'Catalog items for order')
+    ]);
+    if (catalog) {
+      enrichment.catalog = catalog;
+    }
+  } catch (catalogTimeoutError) {
+    console.warn(`Catalog enrichment timed out for order ${order.id}: ${catalogTimeoutError.message}`);
+    // Continue without catalog enrichment
+  }
+}
+
 /**
  * Create a timeout promise for API calls
  * @param {number} timeoutMs - Timeout in milliseconds
@@ -135,12 +235,31 @@ function createTimeout(timeoutMs, operationName) {
   });
 }
 
+/**
+ * Log that an event is delivered without enrichment
+ * @param {string} eventId - The event ID
+ * @param {string} eventType - The event type
+ * @param {string} reason - Why enrichment was skipped
+ */
+function logEnrichmentSkipped(eventId, eventType, reason) {
+  console.log(JSON.stringify({
+    level: 'info',
+    event: 'webhook_enrichment_skipped',
+    event_id: eventId,
+    event_type: eventType,
+    reason,
+    timestamp: new Date().toISOString()
+  }));
+}
+
 /**
  * Process webhook event and enrich with additional data
+ * Square lookups use the current access token of the merchant's tenant
  * @param {Object} webhookData - The raw webhook data
+ * @param {Object} options - { tenant } from getTenantForEvent (resolved from the event if omitted)
  * @returns {Promise<Object>} - Enriched event data
  */
-async function enrichWebhookData(webhookData) {
+async function enrichWebhookData(webhookData, { tenant = getTenantForEvent(webhookData) } = {}) {
   if (!webhookData || !webhookData.type) {
     console.error('Invalid webhook data for enrichment');
     return webhookData;
@@ -149,19 +268,34 @@ async function enrichWebhookData(webhookData) {
   const eventType = webhookData.type;
   const data = webhookData.data?.object;
   const eventId = webhookData.event_id || 'unknown';
+  const needsSquare = !CACHE_INVALIDATION_EVENTS.includes(eventType);
   
   // Skip enrichment for non-object events or if data is missing
   if (!data) {
     return webhookData;
   }
   
+  // While Square is failing, deliver without enrichment instead of waiting on doomed lookups
+  if (needsSquare && isCircuitOpen()) {
+    logEnrichmentSkipped(eventId, eventType, 'square_circuit_open');
+    return webhookData;
+  }
+  
   try {
+    // The merchant's token, refreshed first when it is close to expiry
+    const apiOptions = { accessToken: needsSquare ? await getAccessToken(tenant) : null };
+    if (needsSquare && !apiOptions.accessToken) {
+      logEnrichmentSkipped(eventId, eventType, 'no_access_token');
+      return webhookData;
+    }
+    
     // Log enrichment start
     console.log(JSON.stringify({
       level: 'info',
       event: 'webhook_enrichment_start',
       event_id: eventId,
       event_type: eventType,
+      merchant_id: tenant.merchantId,
       timestamp: new Date().toISOString()
     }));
     
@@ -175,7 +309,7 @@ async function enrichWebhookData(webhookData) {
       case 'order.fulfilled':
         if (data.id && data.location_id) {
           // Use Promise.race to implement timeout
-          const enrichOrderPromise = enrichOrderData(data.id, data.location_id);
+          const enrichOrderPromise = enrichOrderData(data.id, data.location_id, { ...apiOptions, version: data.version });
           const timeoutPromise = createTimeout(enrichmentTimeout, 'Order enrichment');
           
           try {
@@ -183,6 +317,8 @@ async function enrichWebhookData(webhookData) {
               enrichOrderPromise,
               timeoutPromise
             ]);
+            
+            await attachLineItemCatalog(enrichedData.enriched, enrichedData.enriched?.order, enrichmentTimeout, apiOptions);
           } catch (timeoutError) {
             console.warn(`Order enrichment timed out for order ${data.id}: ${timeoutError.message}`);
             // Continue without enrichment data
@@ -195,7 +331,7 @@ async function enrichWebhookData(webhookData) {
         if (data.id) {
           try {
             // Get payment details with timeout
-            const paymentPromise = getPaymentDetails(data.id);
+            const paymentPromise = getPaymentDetails(data.id, apiOptions);
             const paymentTimeoutPromise = createTimeout(enrichmentTimeout, 'Payment details');
             
             const payment = await Promise.race([
@@ -211,7 +347,7 @@ async function enrichWebhookData(webhookData) {
               const locationId = payment.location_id;
               
               try {
-                const orderPromise = enrichOrderData(orderId, locationId);
+                const orderPromise = enrichOrderData(orderId, locationId, apiOptions);
                 const orderTimeoutPromise = createTimeout(enrichmentTimeout, 'Order data for payment');
                 
                 const orderData = await Promise.race([
@@ -220,6 +356,7 @@ async function enrichWebhookData(webhookData) {
                 ]);
                 
                 enrichedData.enriched.order = orderData;
+                await attachLineItemCatalog(enrichedData.enriched, orderData?.order, enrichmentTimeout, apiOptions);
               } catch (orderTimeoutError) {
                 console.warn(`Order data enrichment timed out for payment ${data.id}: ${orderTimeoutError.message}`);
                 // Continue without order enrichment
@@ -232,6 +369,69 @@ async function enrichWebhookData(webhookData) {
         }
         break;
         
+      case 'refund.created':
+      case 'refund.updated':
+        // Attach the original payment and its order so refunds can be itemized and reconciled
+        if (data.payment_id) {
+          try {
+            const payment = await Promise.race([
+              getPaymentDetails(data.payment_id, apiOptions),
+              createTimeout(enrichmentTimeout, 'Payment details for refund')
+            ]);
+            
+            enrichedData.enriched = { payment };
+            
+            // The payment is an SDK model (orderId, locationId)
+            const orderId = data.order_id || payment?.orderId;
+            if (orderId) {
+              try {
+                enrichedData.enriched.order = await Promise.race([
+                  enrichOrderData(orderId, data.location_id || payment?.locationId, apiOptions),
+                  createTimeout(enrichmentTimeout, 'Order data for refund')
+                ]);
+                await attachLineItemCatalog(enrichedData.enriched, enrichedData.enriched.order?.order, enrichmentTimeout, apiOptions);
+              } catch (orderTimeoutError) {
+                console.warn(`Order data enrichment timed out for refund ${data.id}: ${orderTimeoutError.message}`);
+                // Continue without order enrichment
+              }
+            }
+          } catch (paymentTimeoutError) {
+            console.warn(`Payment enrichment timed out for refund ${data.id}: ${paymentTimeoutError.message}`);
+            // Continue without payment enrichment
+          }
+        }
+        break;
+        
+      case 'inventory.count.updated':
+        // Counts only carry catalog IDs; look up the names for alerts and analytics
+        if (data.inventory_counts?.length) {
+          try {
+            const catalog = await Promise.race([
+              getCatalogSummaries(data.inventory_counts.map(count => count.catalog_object_id), apiOptions),
+              createTimeout(enrichmentTimeout, 'Catalog items for inventory')
+            ]);
+            
+            if (catalog) {
+              enrichedData.enriched = { catalog };
+            }
+          } catch (catalogTimeoutError) {
+            console.warn(`Catalog enrichment timed out for inventory event ${eventId}: ${catalogTimeoutError.message}`);
+            // Continue without catalog enrichment
+          }
+        }
+        break;
+        
+      case 'customer.updated':
+      case 'customer.deleted':
+        // Drop the cached copy so later order enrichment sees the change
+        await invalidate(CACHE_NAMESPACES.CUSTOMER, data.id || webhookData.data?.id);
+        break;
+        
+      case 'catalog.version.updated':
+        // The webhook doesn't say which objects changed, so drop every cached catalog entry
+        await invalidate(CACHE_NAMESPACES.CATALOG);
+        break;
+        
       // Add more event types as needed
       default:
         // No enrichment for other event types
@@ -269,5 +469,6 @@ module.exports = {
   enrichOrderData,
   getPaymentDetails,
   getCatalogItems,
+  getCatalogSummaries,
   enrichWebhookData
 };
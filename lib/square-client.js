@@ -0,0 +1,303 @@
+/**
+ * Shared Square API client
+ * One client per access token, with retries on 429/5xx that honour Retry-After,
+ * a concurrency limit, and a circuit breaker that stops calling Square while it is failing.
+ */
+const { Client, Environment } = require('square');
+const { TransientError } = require('./errors');
+
+const DEFAULTS = {
+  maxRetries: 3,
+  maxConcurrency: 4,
+  baseDelayMs: 250,
+  maxRetryDelayMs: 5000,
+  breakerThreshold: 5,
+  breakerCooldownSeconds: 30
+};
+
+/**
+ * Circuit breaker states
+ * - closed: calls go through
+ * - open: calls fail fast until the cooldown ends
+ * - half_open: one trial call decides whether to close or re-open
+ */
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Error for calls skipped because the circuit breaker is open
+ */
+class CircuitOpenError extends TransientError {
+  constructor(message) {
+    super(message);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+// Clients keyed by access token
+const clients = new Map();
+
+const breaker = {
+  state: BREAKER_STATES.CLOSED,
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialInFlight: false,
+  lastError: null
+};
+
+let activeCalls = 0;
+const waiting = [];
+
+/**
+ * Get the client settings from the environment
+ * @returns {Object} - Retry, concurrency and breaker settings
+ */
+function getClientSettings() {
+  return {
+    maxRetries: Number(process.env.SQUARE_MAX_RETRIES ?? DEFAULTS.maxRetries),
+    maxConcurrency: Number(process.env.SQUARE_MAX_CONCURRENCY) || DEFAULTS.maxConcurrency,
+    baseDelayMs: DEFAULTS.baseDelayMs,
+    maxRetryDelayMs: Number(process.env.SQUARE_MAX_RETRY_DELAY_MS) || DEFAULTS.maxRetryDelayMs,
+    breakerThreshold: Number(process.env.SQUARE_BREAKER_THRESHOLD) || DEFAULTS.breakerThreshold,
+    breakerCooldownSeconds: Number(process.env.SQUARE_BREAKER_COOLDOWN_SECONDS) || DEFAULTS.breakerCooldownSeconds
+  };
+}
+
+/**
+ * Get the shared Square client for an access token
+ * @param {string} accessToken - Access token (defaults to SQUARE_ACCESS_TOKEN)
+ * @returns {Object} - Square API client instance
+ */
+function getSquareClient(accessToken = process.env.SQUARE_ACCESS_TOKEN) {
+  if (!accessToken) {
+    console.error('Square access token is not configured');
+    throw new Error('Square API access token is not configured');
+  }
+
+  if (!clients.has(accessToken)) {
+    const production = process.env.NODE_ENV === 'production';
+    clients.set(accessToken, new Client({
+      accessToken,
+      environment: production ? Environment.Production : Environment.Sandbox,
+      userAgentDetail: 'Square-Webhook-Handler',
+      timeout: 10000 // 10 second timeout for all requests
+    }));
+
+    console.log(JSON.stringify({
+      level: 'info',
+      event: 'square_client_initialized',
+      environment: production ? 'production' : 'sandbox',
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  return clients.get(accessToken);
+}
+
+/**
+ * Check whether a failed call is worth retrying
+ * @param {Error} error - Error from the Square SDK
+ * @returns {boolean} - True for rate limits, server errors and network failures
+ */
+function isRetryable(error) {
+  if (error instanceof CircuitOpenError) return false;
+  const status = error?.statusCode;
+  if (status === undefined || status === null) return true; // network error or timeout
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Read the Retry-After header of a response
+ * @param {Error} error - Error from the Square SDK
+ * @returns {number|null} - Delay in milliseconds, or null if absent
+ */
+function getRetryAfterMs(error) {
+  const headers = error?.headers || {};
+  const value = headers['retry-after'] ?? headers['Retry-After'];
+  if (value === undefined || value === null) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Move the breaker between states and log transitions
+ * @param {string} state - New state
+ */
+function setBreakerState(state) {
+  if (breaker.state === state) return;
+
+  const previous = breaker.state;
+  breaker.state = state;
+  if (state === BREAKER_STATES.OPEN) breaker.openedAt = Date.now();
+  if (state === BREAKER_STATES.CLOSED) breaker.openedAt = null;
+
+  const log = state === BREAKER_STATES.OPEN ? console.warn : console.log;
+  log(JSON.stringify({
+    level: state === BREAKER_STATES.OPEN ? 'warn' : 'info',
+    event: 'square_circuit_breaker_transition',
+    from: previous,
+    to: state,
+    consecutive_failures: breaker.consecutiveFailures,
+    last_error: breaker.lastError,
+    timestamp: new Date().toISOString()
+  }));
+}
+
+/**
+ * Check whether calls to Square are currently being skipped
+ * Moves an open breaker to half-open once the cooldown has passed
+ * @returns {boolean} - True if calls would fail fast
+ */
+function isCircuitOpen() {
+  if (breaker.state === BREAKER_STATES.OPEN) {
+    const cooldownMs = getClientSettings().breakerCooldownSeconds * 1000;
+    if (Date.now() - breaker.openedAt < cooldownMs) return true;
+    setBreakerState(BREAKER_STATES.HALF_OPEN);
+  }
+  // In half-open, only one trial call goes through at a time
+  return breaker.state === BREAKER_STATES.HALF_OPEN && breaker.trialInFlight;
+}
+
+/**
+ * Record the outcome of a call for the breaker
+ * @param {Error|null} error - The final error, or null on success
+ */
+function recordOutcome(error) {
+  breaker.trialInFlight = false;
+
+  if (!error || !isRetryable(error)) {
+    // Client errors (404, 400, ...) mean Square is answering
+    breaker.consecutiveFailures = 0;
+    breaker.lastError = null;
+    setBreakerState(BREAKER_STATES.CLOSED);
+    return;
+  }
+
+  breaker.consecutiveFailures++;
+  breaker.lastError = error.statusCode ? `HTTP ${error.statusCode}` : error.message;
+
+  if (breaker.state === BREAKER_STATES.HALF_OPEN ||
+      breaker.consecutiveFailures >= getClientSettings().breakerThreshold) {
+    // Re-opening restarts the cooldown
+    breaker.state = BREAKER_STATES.CLOSED;
+    setBreakerState(BREAKER_STATES.OPEN);
+  }
+}
+
+/**
+ * Wait for a free concurrency slot
+ * @returns {Promise<void>}
+ */
+function acquireSlot() {
+  if (activeCalls < getClientSettings().maxConcurrency) {
+    activeCalls++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+/**
+ * Hand the slot to the next waiting call, or free it
+ */
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    activeCalls--;
+  }
+}
+
+/**
+ * Call the Square API through the shared client
+ * @param {string} operation - Operation name for logs, e.g. 'retrieveOrder'
+ * @param {Function} request - (client) => Promise, the SDK call
+ * @param {Object} options - { accessToken } to use a merchant-specific token
+ * @returns {Promise<Object>} - SDK response
+ * @throws {CircuitOpenError} - If the breaker is open
+ */
+async function callSquare(operation, request, { accessToken } = {}) {
+  if (isCircuitOpen()) {
+    throw new CircuitOpenError(`Square API circuit breaker is open, skipping ${operation}`);
+  }
+  if (breaker.state === BREAKER_STATES.HALF_OPEN) {
+    breaker.trialInFlight = true;
+  }
+
+  const settings = getClientSettings();
+  const client = getSquareClient(accessToken);
+
+  await acquireSlot();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await request(client);
+        recordOutcome(null);
+        return response;
+      } catch (error) {
+        const retryAfterMs = getRetryAfterMs(error);
+        const backoffMs = settings.baseDelayMs * Math.pow(2, attempt) * (0.5 + Math.random() / 2);
+        const delayMs = retryAfterMs ?? backoffMs;
+
+        // Don't wait longer than the caller can afford; Square asked us to back off
+        if (attempt >= settings.maxRetries || !isRetryable(error) || delayMs > settings.maxRetryDelayMs) {
+          recordOutcome(error);
+          throw error;
+        }
+
+        console.warn(JSON.stringify({
+          level: 'warn',
+          event: 'square_api_retry',
+          operation,
+          attempt: attempt + 1,
+          status: error.statusCode || null,
+          delay_ms: Math.round(delayMs),
+          timestamp: new Date().toISOString()
+        }));
+
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+/**
+ * Get the breaker state for /health
+ * @returns {Object} - { state, consecutive_failures, opened_at, retry_at, last_error }
+ */
+function getBreakerState() {
+  // Refresh open -> half_open so /health doesn't report a stale open state
+  isCircuitOpen();
+
+  const retryAt = breaker.state === BREAKER_STATES.OPEN
+    ? new Date(breaker.openedAt + getClientSettings().breakerCooldownSeconds * 1000).toISOString()
+    : null;
+
+  return {
+    state: breaker.state,
+    consecutive_failures: breaker.consecutiveFailures,
+    opened_at: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    retry_at: retryAt,
+    last_error: breaker.lastError,
+    active_calls: activeCalls,
+    queued_calls: waiting.length
+  };
+}
+
+module.exports = {
+  BREAKER_STATES,
+  CircuitOpenError,
+  getSquareClient,
+  callSquare,
+  isCircuitOpen,
+  getBreakerState
+};
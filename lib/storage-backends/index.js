@@ -0,0 +1,61 @@
+/**
+ * Storage backend selection
+ * STORAGE_BACKEND picks the implementation; every backend exposes the same Redis-style interface:
+ * ping, get, set (ex/px/nx/xx), mget, del, exists, incr, incrby, expire, ttl, keys, scan,
+ * hset, hget, hgetall, hdel, zadd, zrem, zcard, zscore, zrange (byScore/withScores), flushall,
+ * and optionally close() to release connections on shutdown
+ */
+const { createVercelKvBackend } = require('./vercel-kv');
+const { createMemoryBackend } = require('./memory');
+
+const BACKENDS = {
+  'vercel-kv': createVercelKvBackend,
+  redis: () => require('./redis').createRedisBackend(),
+  memory: createMemoryBackend
+};
+
+const DEFAULT_BACKEND = 'vercel-kv';
+
+let backend = null;
+
+/**
+ * Get the configured storage backend, creating it on first use
+ * @returns {Object} - Storage backend
+ */
+function getStorageBackend() {
+  if (!backend) {
+    const name = process.env.STORAGE_BACKEND || DEFAULT_BACKEND;
+    const create = BACKENDS[name];
+    if (!create) {
+      throw new Error(`Unknown storage backend: ${name}`);
+    }
+    backend = create();
+  }
+  return backend;
+}
+
+/**
+ * Release the active backend's connections, if it holds any
+ * @returns {Promise<void>}
+ */
+async function closeStorageBackend() {
+  if (backend && typeof backend.close === 'function') {
+    await backend.close();
+  }
+  backend = null;
+}
+
+/**
+ * Replace the active backend, e.g. with a fresh memory backend in tests
+ * @param {Object} replacement - Storage backend, or null to re-read the configuration
+ */
+function setStorageBackend(replacement) {
+  backend = replacement;
+}
+
+module.exports = {
+  BACKENDS,
+  getStorageBackend,
+  setStorageBackend,
+  closeStorageBackend
+};
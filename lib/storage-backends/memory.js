@@ -0,0 +1,249 @@
+/**
+ * In-memory storage backend
+ * Implements the subset of Redis semantics the storage layer relies on (SET NX/EX, TTLs,
+ * INCR, hashes, sorted sets, SCAN) so the service can run locally and in tests without KV.
+ * Data lives in the current process only.
+ */
+
+/**
+ * Convert a Redis glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern supporting * and ?
+ * @returns {RegExp} - Equivalent regular expression
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * Parse a sorted-set score bound
+ * @param {number|string} bound - Score, '-inf' or '+inf'
+ * @returns {number} - Numeric bound
+ */
+function parseBound(bound) {
+  if (bound === '-inf') return -Infinity;
+  if (bound === '+inf' || bound === 'inf') return Infinity;
+  return Number(bound);
+}
+
+/**
+ * Create an in-memory backend
+ * @returns {Object} - Storage backend
+ */
+function createMemoryBackend() {
+  // key -> { type: 'string' | 'hash' | 'zset', value, expiresAt }
+  const data = new Map();
+
+  /**
+   * Get a live entry, dropping it if its TTL has passed
+   */
+  function entry(key) {
+    const item = data.get(key);
+    if (!item) return null;
+    if (item.expiresAt !== null && item.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return item;
+  }
+
+  /**
+   * Get a live entry of the expected type, creating it if missing
+   */
+  function typedEntry(key, type, create = false) {
+    let item = entry(key);
+    if (item && item.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    if (!item && create) {
+      item = { type, value: type === 'string' ? null : new Map(), expiresAt: null };
+      data.set(key, item);
+    }
+    return item;
+  }
+
+  /**
+   * Sorted-set members ordered by score, then member
+   */
+  function sortedMembers(key) {
+    const item = typedEntry(key, 'zset');
+    if (!item) return [];
+    return Array.from(item.value.entries())
+      .map(([member, score]) => ({ member, score }))
+      .sort((a, b) => a.score - b.score || (a.member < b.member ? -1 : a.member > b.member ? 1 : 0));
+  }
+
+  function liveKeys() {
+    return Array.from(data.keys()).filter(key => entry(key)).sort();
+  }
+
+  return {
+    name: 'memory',
+
+    async ping() {
+      return 'PONG';
+    },
+
+    async get(key) {
+      const item = typedEntry(key, 'string');
+      return item ? item.value : null;
+    },
+
+    async set(key, value, options = {}) {
+      const exists = !!entry(key);
+      if ((options.nx && exists) || (options.xx && !exists)) {
+        return null;
+      }
+
+      let expiresAt = null;
+      if (options.ex) expiresAt = Date.now() + options.ex * 1000;
+      if (options.px) expiresAt = Date.now() + options.px;
+
+      data.set(key, { type: 'string', value: String(value), expiresAt });
+      return 'OK';
+    },
+
+    async mget(...keys) {
+      return Promise.all(keys.map(key => this.get(key)));
+    },
+
+    async del(...keys) {
+      let count = 0;
+      for (const key of keys) {
+        if (entry(key)) count++;
+        data.delete(key);
+      }
+      return count;
+    },
+
+    async exists(...keys) {
+      return keys.filter(key => entry(key)).length;
+    },
+
+    async incr(key) {
+      return this.incrby(key, 1);
+    },
+
+    async incrby(key, amount) {
+      const item = typedEntry(key, 'string', true);
+      const current = item.value === null ? 0 : Number(item.value);
+      if (isNaN(current)) {
+        throw new Error('ERR value is not an integer or out of range');
+      }
+      item.value = String(current + amount);
+      return current + amount;
+    },
+
+    async expire(key, seconds) {
+      const item = entry(key);
+      if (!item) return 0;
+      item.expiresAt = Date.now() + seconds * 1000;
+      return 1;
+    },
+
+    async ttl(key) {
+      const item = entry(key);
+      if (!item) return -2;
+      if (item.expiresAt === null) return -1;
+      return Math.ceil((item.expiresAt - Date.now()) / 1000);
+    },
+
+    async keys(pattern) {
+      const regex = globToRegExp(pattern);
+      return liveKeys().filter(key => regex.test(key));
+    },
+
+    async scan(cursor, { match = '*', count = 10 } = {}) {
+      const regex = globToRegExp(match);
+      const keys = liveKeys();
+      const start = Number(cursor) || 0;
+      const end = Math.min(start + count, keys.length);
+      const page = keys.slice(start, end).filter(key => regex.test(key));
+      return [end >= keys.length ? 0 : end, page];
+    },
+
+    async hset(key, fields) {
+      const item = typedEntry(key, 'hash', true);
+      let added = 0;
+      for (const [field, value] of Object.entries(fields)) {
+        if (!item.value.has(field)) added++;
+        item.value.set(field, String(value));
+      }
+      return added;
+    },
+
+    async hget(key, field) {
+      const item = typedEntry(key, 'hash');
+      return item && item.value.has(field) ? item.value.get(field) : null;
+    },
+
+    async hgetall(key) {
+      const item = typedEntry(key, 'hash');
+      return item ? Object.fromEntries(item.value) : null;
+    },
+
+    async hdel(key, ...fields) {
+      const item = typedEntry(key, 'hash');
+      if (!item) return 0;
+      return fields.filter(field => item.value.delete(field)).length;
+    },
+
+    async zadd(key, ...members) {
+      const item = typedEntry(key, 'zset', true);
+      let added = 0;
+      for (const { score, member } of members) {
+        if (!item.value.has(String(member))) added++;
+        item.value.set(String(member), Number(score));
+      }
+      return added;
+    },
+
+    async zrem(key, ...members) {
+      const item = typedEntry(key, 'zset');
+      if (!item) return 0;
+      return members.filter(member => item.value.delete(String(member))).length;
+    },
+
+    async zcard(key) {
+      const item = typedEntry(key, 'zset');
+      return item ? item.value.size : 0;
+    },
+
+    async zscore(key, member) {
+      const item = typedEntry(key, 'zset');
+      return item && item.value.has(String(member)) ? item.value.get(String(member)) : null;
+    },
+
+    async zrange(key, start, stop, options = {}) {
+      let members = sortedMembers(key);
+
+      if (options.byScore) {
+        const min = parseBound(start);
+        const max = parseBound(stop);
+        members = members.filter(({ score }) => score >= min && score <= max);
+        if (options.offset !== undefined && options.count !== undefined) {
+          members = members.slice(options.offset, options.offset + options.count);
+        }
+      } else {
+        const length = members.length;
+        const from = start < 0 ? Math.max(length + start, 0) : start;
+        const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+        members = from > to ? [] : members.slice(from, to + 1);
+      }
+
+      if (options.withScores) {
+        return members.flatMap(({ member, score }) => [member, score]);
+      }
+      return members.map(({ member }) => member);
+    },
+
+    async flushall() {
+      data.clear();
+      return 'OK';
+    }
+  };
+}
+
+module.exports = {
+  createMemoryBackend
+};
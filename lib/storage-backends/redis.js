@@ -0,0 +1,168 @@
+/**
+ * Redis storage backend for self-hosted deployments
+ * Talks to any Redis-protocol server through a small pool of ioredis connections.
+ * ioredis reconnects automatically; commands issued while a connection is down are
+ * queued and flushed on reconnect, up to maxRetriesPerRequest.
+ */
+const Redis = require('ioredis');
+
+const DEFAULT_POOL_SIZE = 4;
+const MAX_RECONNECT_DELAY_MS = 2000;
+
+/**
+ * Create a pool of Redis connections
+ * @param {string} url - Redis connection URL (redis:// or rediss://)
+ * @param {number} size - Number of connections
+ * @returns {Array<Redis>} - Connections
+ */
+function createPool(url, size) {
+  return Array.from({ length: size }, (_, index) => {
+    const client = new Redis(url, {
+      connectionName: `square-webhook-${index}`,
+      maxRetriesPerRequest: 3,
+      retryStrategy: times => Math.min(times * 100, MAX_RECONNECT_DELAY_MS)
+    });
+
+    client.on('error', error => {
+      console.error(JSON.stringify({
+        level: 'error',
+        event: 'redis_connection_error',
+        connection: index,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }));
+    });
+
+    client.on('reconnecting', delay => {
+      console.warn(JSON.stringify({
+        level: 'warn',
+        event: 'redis_reconnecting',
+        connection: index,
+        delay_ms: delay,
+        timestamp: new Date().toISOString()
+      }));
+    });
+
+    return client;
+  });
+}
+
+/**
+ * Create a Redis backend
+ * @param {Object} options - Connection options
+ * @param {string} options.url - Redis connection URL (defaults to REDIS_URL)
+ * @param {number} options.poolSize - Number of pooled connections (defaults to REDIS_POOL_SIZE)
+ * @returns {Object} - Storage backend
+ */
+function createRedisBackend({
+  url = process.env.REDIS_URL,
+  poolSize = Number(process.env.REDIS_POOL_SIZE) || DEFAULT_POOL_SIZE
+} = {}) {
+  if (!url) {
+    throw new Error('REDIS_URL is required for the redis storage backend');
+  }
+
+  const pool = createPool(url, poolSize);
+  let next = 0;
+
+  /**
+   * Pick the next ready connection round-robin; falls back to any connection,
+   * which queues the command until it reconnects
+   */
+  function client() {
+    for (let i = 0; i < pool.length; i++) {
+      const candidate = pool[(next + i) % pool.length];
+      if (candidate.status === 'ready') {
+        next = (next + i + 1) % pool.length;
+        return candidate;
+      }
+    }
+    next = (next + 1) % pool.length;
+    return pool[next];
+  }
+
+  return {
+    name: 'redis',
+
+    ping: () => client().ping(),
+
+    get: key => client().get(key),
+
+    async set(key, value, options = {}) {
+      const args = [key, value];
+      if (options.ex) args.push('EX', options.ex);
+      if (options.px) args.push('PX', options.px);
+      if (options.nx) args.push('NX');
+      if (options.xx) args.push('XX');
+      return client().set(...args);
+    },
+
+    mget: (...keys) => client().mget(...keys),
+    del: (...keys) => client().del(...keys),
+    exists: (...keys) => client().exists(...keys),
+    incr: key => client().incr(key),
+    incrby: (key, amount) => client().incrby(key, amount),
+    expire: (key, seconds) => client().expire(key, seconds),
+    ttl: key => client().ttl(key),
+    keys: pattern => client().keys(pattern),
+
+    async scan(cursor, { match = '*', count = 10 } = {}) {
+      const [nextCursor, keys] = await client().scan(cursor, 'MATCH', match, 'COUNT', count);
+      return [Number(nextCursor), keys];
+    },
+
+    hset: (key, fields) => client().hset(key, fields),
+    hget: (key, field) => client().hget(key, field),
+
+    async hgetall(key) {
+      const fields = await client().hgetall(key);
+      // Match the other backends: a missing hash is null rather than {}
+      return Object.keys(fields).length > 0 ? fields : null;
+    },
+
+    hdel: (key, ...fields) => client().hdel(key, ...fields),
+
+    zadd(key, ...members) {
+      const args = members.flatMap(({ score, member }) => [score, member]);
+      return client().zadd(key, ...args);
+    },
+
+    zrem: (key, ...members) => client().zrem(key, ...members),
+    zcard: key => client().zcard(key),
+
+    async zscore(key, member) {
+      const score = await client().zscore(key, member);
+      return score === null ? null : Number(score);
+    },
+
+    async zrange(key, start, stop, options = {}) {
+      const args = [key, start, stop];
+      if (options.withScores) args.push('WITHSCORES');
+
+      let result;
+      if (options.byScore) {
+        if (options.offset !== undefined && options.count !== undefined) {
+          args.push('LIMIT', options.offset, options.count);
+        }
+        result = await client().zrangebyscore(...args);
+      } else {
+        result = await client().zrange(...args);
+      }
+
+      // Scores come back as strings; the other backends return numbers
+      return options.withScores
+        ? result.map((value, index) => (index % 2 === 1 ? Number(value) : value))
+        : result;
+    },
+
+    flushall: () => client().flushdb(),
+
+    async close() {
+      await Promise.all(pool.map(connection => connection.quit().catch(() => connection.disconnect())));
+    }
+  };
+}
+
+module.exports = {
+  createRedisBackend
+};
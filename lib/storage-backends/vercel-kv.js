@@ -0,0 +1,43 @@
+/**
+ * Vercel KV storage backend
+ * @vercel/kv already speaks the command set the storage layer uses, so this is a thin pass-through
+ */
+
+/**
+ * Create a Vercel KV backend
+ * @returns {Object} - Storage backend
+ */
+function createVercelKvBackend() {
+  // Required lazily so other backends don't need KV credentials
+  const { kv } = require('@vercel/kv');
+
+  return {
+    name: 'vercel-kv',
+    ping: () => kv.ping(),
+    get: key => kv.get(key),
+    set: (key, value, options) => kv.set(key, value, options),
+    mget: (...keys) => kv.mget(...keys),
+    del: (...keys) => kv.del(...keys),
+    exists: (...keys) => kv.exists(...keys),
+    incr: key => kv.incr(key),
+    incrby: (key, amount) => kv.incrby(key, amount),
+    expire: (key, seconds) => kv.expire(key, seconds),
+    ttl: key => kv.ttl(key),
+    keys: pattern => kv.keys(pattern),
+    scan: (cursor, options) => kv.scan(cursor, options),
+    hset: (key, fields) => kv.hset(key, fields),
+    hget: (key, field) => kv.hget(key, field),
+    hgetall: key => kv.hgetall(key),
+    hdel: (key, ...fields) => kv.hdel(key, ...fields),
+    zadd: (key, ...members) => kv.zadd(key, ...members),
+    zrem: (key, ...members) => kv.zrem(key, ...members),
+    zcard: key => kv.zcard(key),
+    zscore: (key, member) => kv.zscore(key, member),
+    zrange: (key, start, stop, options) => kv.zrange(key, start, stop, options),
+    flushall: () => kv.flushall()
+  };
+}
+
+module.exports = {
+  createVercelKvBackend
+};
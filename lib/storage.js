@@ -1,8 +1,10 @@
 /**
  * Storage utilities for webhook event processing
- * Uses Vercel KV for storing processed events and failed events
+ * Stores processed events and failed events through the configured storage backend
  */
-const { kv } = require('@vercel/kv');
+const { getStorageBackend } = require('./storage-backends');
+const { computeNextAttemptAt } = require('./retry-policy');
+const { getRetentionSeconds, getMaxRetentionSeconds } = require('./retention');
 
 /**
  * Prefix constants for key organization
@@ -10,13 +12,71 @@ const { kv } = require('@vercel/kv');
 const PREFIX = {
   EVENT: 'event:',
   FAILED: 'failed_events',
-  METRICS: 'metrics:'
+  FAILED_RECORD: 'failed_event:',
+  DEAD_LETTER: 'dead_letter_events',
+  DEAD_LETTER_RECORD: 'dead_letter:',
+  METRICS: 'metrics:',
+  MERCHANT_METRICS: 'merchant_metrics:',
+  DELIVERY: 'delivery:',
+  EVENT_TAKEOVER: 'event_takeover:',
+  ALERT_DEBOUNCE: 'alert_debounce:',
+  DEDUP_STATS: 'dedup_stats:'
 };
 
+const DEFAULT_IDEMPOTENCY_LEASE_SECONDS = 120;
+
+/**
+ * Event marker states
+ */
+const EVENT_STATES = {
+  RESERVED: 'reserved',
+  COMMITTED: 'committed'
+};
+
+// Delivery records outlive the retry window so retries can still see what succeeded,
+// and the idempotency window so event lookups can report them
+const MIN_DELIVERY_TTL_SECONDS = 7 * 86400;
+
+/**
+ * Get the idempotency lease length from the environment
+ * @returns {number} - Lease length in seconds
+ */
+function getIdempotencyLeaseSeconds() {
+  return Number(process.env.IDEMPOTENCY_LEASE_SECONDS) || DEFAULT_IDEMPOTENCY_LEASE_SECONDS;
+}
+
+/**
+ * Build the minimal metadata kept for an event marker
+ * @param {string} eventId - The unique ID of the webhook event
+ * @param {Object} data - The event data
+ * @returns {Object} - Marker metadata
+ */
+function buildEventMarker(eventId, data) {
+  // Store minimal metadata to save storage costs
+  return {
+    event_id: eventId,
+    event_type: data.type || 'unknown',
+    merchant_id: data.merchant_id || 'unknown',
+    location_id: data.data?.object?.location_id || 'unknown',
+    data_size: JSON.stringify(data).length
+  };
+}
+
+/**
+ * Check whether a stored marker is a live reservation
+ * Markers written before two-phase idempotency have no state and count as committed
+ * @param {Object} marker - Parsed event marker
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True if another worker still holds the lease
+ */
+function isLeaseActive(marker, now = Date.now()) {
+  return marker.state === EVENT_STATES.RESERVED && new Date(marker.lease_expires_at).getTime() > now;
+}
+
 /**
  * Checks if an event has already been processed (idempotency check)
  * @param {string} eventId - The unique ID of the webhook event
- * @returns {Promise<boolean>} - True if the event has already been processed
+ * @returns {Promise<boolean>} - True if the event has been committed as processed
  */
 async function isDuplicateEvent(eventId) {
   if (!eventId) {
@@ -25,8 +85,8 @@ async function isDuplicateEvent(eventId) {
   }
   
   try {
-    const exists = await kv.exists(`${PREFIX.EVENT}${eventId}`);
-    return exists === 1;
+    const marker = parseRecord(await getStorageBackend().get(`${PREFIX.EVENT}${eventId}`));
+    return !!marker && marker.state !== EVENT_STATES.RESERVED;
   } catch (error) {
     console.error('Error checking for duplicate event:', error);
     // If we can't verify, assume it's not a duplicate
@@ -36,119 +96,372 @@ async function isDuplicateEvent(eventId) {
 }
 
 /**
- * Atomic check-and-mark operation to prevent race conditions
+ * Reserve an event for processing (phase one of two-phase idempotency)
+ * The reservation is a short lease; if the worker dies before commitEvent, the lease
+ * expires and the event becomes eligible again.
  * @param {string} eventId - The unique ID of the webhook event
- * @param {Object} data - The event data to store
- * @returns {Promise<boolean>} - True if the event was newly marked (not a duplicate)
+ * @param {Object} data - The event data
+ * @returns {Promise<Object>} - { reserved: true, attempt } or { reserved: false, state }
  */
-async function checkAndMarkEventProcessed(eventId, data) {
+async function reserveEvent(eventId, data) {
   if (!eventId) {
-    console.error('No event ID provided for check-and-mark operation');
-    return false;
+    console.error('No event ID provided for reservation');
+    return { reserved: false, state: null };
   }
   
+  const store = getStorageBackend();
+  const key = `${PREFIX.EVENT}${eventId}`;
+  const leaseSeconds = getIdempotencyLeaseSeconds();
+  const now = Date.now();
+  
+  const reservation = attempt => JSON.stringify({
+    ...buildEventMarker(eventId, data),
+    state: EVENT_STATES.RESERVED,
+    attempt,
+    received_at: new Date(now).toISOString(),
+    lease_expires_at: new Date(now + leaseSeconds * 1000).toISOString()
+  });
+  
   try {
     // Use NX flag for atomic operation - only set if key doesn't exist
-    const result = await kv.set(
-      `${PREFIX.EVENT}${eventId}`, 
-      JSON.stringify({
-        processed_at: new Date().toISOString(),
-        event_type: data.type || 'unknown',
-        // Store minimal metadata to save storage costs
-        merchant_id: data.merchant_id || 'unknown',
-        event_id: eventId,
-        data_size: JSON.stringify(data).length
-      }),
-      // Expire in 24 hours, and only set if key doesn't exist
-      { ex: 86400, nx: true }
-    );
+    const result = await store.set(key, reservation(1), { ex: getRetentionSeconds(data.type), nx: true });
     
-    // If result is non-null, the key was set (first time processing)
-    // If null, key already existed (already processed)
-    const isNewEvent = result !== null;
-    
-    if (isNewEvent) {
+    if (result !== null) {
+      await store.incr(`${PREFIX.DEDUP_STATS}reserved`);
       // Increment the count for this event type for metrics
-      const eventType = data.type || 'unknown';
-      await kv.incr(`${PREFIX.METRICS}${eventType}`);
+      await incrementEventMetric(data.type || 'unknown', data.merchant_id);
+      return { reserved: true, attempt: 1 };
+    }
+    
+    const existing = parseRecord(await store.get(key));
+    if (!existing) {
+      // Expired between the two calls; let the caller try again later
+      return { reserved: false, state: null };
+    }
+    if (existing.state !== EVENT_STATES.RESERVED) {
+      return { reserved: false, state: EVENT_STATES.COMMITTED };
     }
+    if (isLeaseActive(existing, now)) {
+      return { reserved: false, state: EVENT_STATES.RESERVED };
+    }
+    
+    // The previous holder's lease ran out without a commit. Only one worker may take
+    // it over, so claim the next attempt number before overwriting the marker.
+    const attempt = (existing.attempt || 1) + 1;
+    const takeover = await store.set(`${PREFIX.EVENT_TAKEOVER}${eventId}:${attempt}`, '1', { ex: leaseSeconds, nx: true });
+    if (takeover === null) {
+      return { reserved: false, state: EVENT_STATES.RESERVED };
+    }
+    
+    await store.set(key, reservation(attempt), { ex: getRetentionSeconds(data.type) });
+    await store.incr(`${PREFIX.DEDUP_STATS}expired`);
+    await store.incr(`${PREFIX.DEDUP_STATS}reserved`);
     
-    return isNewEvent;
+    console.warn(JSON.stringify({
+      level: 'warn',
+      event: 'idempotency_lease_expired',
+      event_id: eventId,
+      attempt,
+      timestamp: new Date().toISOString()
+    }));
+    
+    return { reserved: true, attempt };
   } catch (error) {
-    console.error('Error in atomic check-and-mark operation:', error);
+    console.error('Error reserving event:', error);
     // In case of error, assume it's a new event
     // We'd rather process twice than skip an event
-    return true;
+    return { reserved: true, attempt: null };
   }
 }
 
 /**
- * Logs a successfully processed event
+ * Commit a processed event (phase two of two-phase idempotency)
+ * Redeliveries of a committed event are skipped for the rest of the retention window
  * @param {string} eventId - The unique ID of the webhook event
  * @param {Object} data - The event data
+ * @param {string} outcome - Processing outcome, e.g. processed, partial, failed, rejected
  * @returns {Promise<void>}
  */
-async function logProcessedEvent(eventId, data) {
+async function commitEvent(eventId, data, outcome) {
   if (!eventId) {
-    console.error('No event ID provided for event logging');
+    console.error('No event ID provided for commit');
     return;
   }
   
   try {
-    // Store minimal metadata instead of full event to save storage costs
-    await kv.set(`${PREFIX.EVENT}${eventId}`, JSON.stringify({
+    const store = getStorageBackend();
+    const existing = parseRecord(await store.get(`${PREFIX.EVENT}${eventId}`));
+    
+    await store.set(`${PREFIX.EVENT}${eventId}`, JSON.stringify({
+      ...buildEventMarker(eventId, data),
+      state: EVENT_STATES.COMMITTED,
+      attempt: existing?.attempt || 1,
+      received_at: existing?.received_at || null,
       processed_at: new Date().toISOString(),
-      event_type: data.type || 'unknown',
-      merchant_id: data.merchant_id || 'unknown',
-      location_id: data.data?.object?.location_id || 'unknown',
-      // Add size limit check
-      data_size: JSON.stringify(data).length
-    }), { ex: 86400 });
+      outcome
+    }), { ex: getRetentionSeconds(data.type) });
     
-    // Also increment the count for this event type for metrics
-    const eventType = data.type || 'unknown';
-    await kv.incr(`${PREFIX.METRICS}${eventType}`);
+    await store.incr(`${PREFIX.DEDUP_STATS}committed`);
+  } catch (error) {
+    // The lease will expire and the event may be processed again; delivery records
+    // keep that from re-sending to destinations that already succeeded
+    console.error('Error committing event:', error);
+  }
+}
+
+/**
+ * Gets the idempotency counters
+ * @returns {Promise<Object>} - { reserved, committed, expired }
+ */
+async function getDedupStats() {
+  const names = ['reserved', 'committed', 'expired'];
+  const values = await getStorageBackend().mget(...names.map(name => `${PREFIX.DEDUP_STATS}${name}`));
+  return Object.fromEntries(names.map((name, index) => [name, Number(values[index]) || 0]));
+}
+
+/**
+ * Increments an event counter, overall and for the event's merchant
+ * @param {string} name - Counter name, e.g. an event type or rejected:<event type>
+ * @param {string} merchantId - Square merchant ID of the event
+ * @returns {Promise<void>}
+ */
+async function incrementEventMetric(name, merchantId) {
+  const store = getStorageBackend();
+  await store.incr(`${PREFIX.METRICS}${name}`);
+  await store.incr(`${PREFIX.MERCHANT_METRICS}${merchantId || 'unknown'}:${name}`);
+}
+
+/**
+ * Counts a payload rejected as permanently invalid
+ * Stored with the event-type counters as rejected:<event type>
+ * @param {string} eventType - The Square event type
+ * @param {string} merchantId - Square merchant ID of the event
+ * @returns {Promise<void>}
+ */
+async function recordRejectedEvent(eventType, merchantId = null) {
+  try {
+    await incrementEventMetric(`rejected:${eventType || 'unknown'}`, merchantId);
   } catch (error) {
-    console.error('Error logging processed event:', error);
+    console.error('Error recording rejected event:', error);
   }
 }
 
+/**
+ * Gets the idempotency marker for an event
+ * @param {string} eventId - The unique ID of the webhook event
+ * @returns {Promise<Object|null>} - Marker with expires_in_seconds, or null if not seen within retention
+ */
+async function getEventMarker(eventId) {
+  const store = getStorageBackend();
+  const marker = parseRecord(await store.get(`${PREFIX.EVENT}${eventId}`));
+  if (!marker) return null;
+  
+  const ttl = await store.ttl(`${PREFIX.EVENT}${eventId}`);
+  return {
+    ...marker,
+    // Markers from before two-phase idempotency have no state and were written once processed
+    state: marker.state || EVENT_STATES.COMMITTED,
+    lease_active: isLeaseActive(marker),
+    expires_in_seconds: ttl >= 0 ? ttl : null
+  };
+}
+
+/**
+ * Gets the per-destination delivery records for an event
+ * @param {string} eventId - The unique ID of the webhook event
+ * @returns {Promise<Object>} - Map of destination name to
+ *   { status, attempts, last_error, ambiguous, validation_messages?, updated_at }
+ */
+async function getDeliveryRecords(eventId) {
+  if (!eventId) {
+    return {};
+  }
+  
+  try {
+    const fields = await getStorageBackend().hgetall(`${PREFIX.DELIVERY}${eventId}`);
+    const records = {};
+    for (const [destination, value] of Object.entries(fields || {})) {
+      records[destination] = typeof value === 'string' ? JSON.parse(value) : value;
+    }
+    return records;
+  } catch (error) {
+    console.error('Error retrieving delivery records:', error);
+    return {};
+  }
+}
+
+/**
+ * Updates the delivery record for one event/destination pair
+ * @param {string} eventId - The unique ID of the webhook event
+ * @param {string} destination - The destination name
+ * @param {Object} record - { status: 'pending' | 'succeeded' | 'skipped' | 'failed', attempts, last_error, ambiguous,
+ *   validation_messages? }
+ * @returns {Promise<void>}
+ */
+async function updateDeliveryRecord(eventId, destination, record) {
+  if (!eventId || !destination) {
+    console.error('Event ID and destination are required for delivery tracking');
+    return;
+  }
+  
+  try {
+    const key = `${PREFIX.DELIVERY}${eventId}`;
+    await getStorageBackend().hset(key, {
+      [destination]: JSON.stringify({
+        status: record.status,
+        attempts: record.attempts || 0,
+        last_error: record.last_error || null,
+        ambiguous: !!record.ambiguous,
+        ...(record.validation_messages ? { validation_messages: record.validation_messages } : {}),
+        updated_at: new Date().toISOString()
+      })
+    });
+    await getStorageBackend().expire(key, Math.max(MIN_DELIVERY_TTL_SECONDS, getMaxRetentionSeconds()));
+  } catch (error) {
+    console.error('Error updating delivery record:', error);
+  }
+}
+
+/**
+ * Parse a stored record; KV may return JSON values already deserialized
+ * @param {string|Object} value - Stored value
+ * @returns {Object|null} - Parsed record
+ */
+function parseRecord(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Load the records for a list of ids from a record prefix
+ * @param {string} prefix - Record key prefix
+ * @param {Array<string>} ids - Event IDs
+ * @returns {Promise<Array<Object>>} - Records, skipping ids whose record is missing
+ */
+async function loadRecords(prefix, ids) {
+  if (!ids || ids.length === 0) return [];
+  
+  const values = await getStorageBackend().mget(...ids.map(id => `${prefix}${id}`));
+  return values
+    .map((value, index) => {
+      try {
+        return parseRecord(value);
+      } catch (e) {
+        return { event_id: ids[index], error: 'Failed to parse event data' };
+      }
+    })
+    .filter(Boolean);
+}
+
 /**
  * Stores a failed event for later retry
+ * Storing an event that is already queued updates the existing record instead of adding another
  * @param {Object} event - The webhook event that failed processing
  * @param {Error} error - The error that occurred
+ * @param {Object} details - Optional details
+ * @param {Array<string>} details.failedDestinations - Destinations that still need delivery;
+ *   omitted when the whole event failed before distribution
  * @returns {Promise<void>}
+ * @throws {Error} - If the record can't be written, so the caller keeps the event instead of dropping it
  */
-async function storeFailedEvent(event, error) {
+async function storeFailedEvent(event, error, { failedDestinations = null } = {}) {
   if (!event || !event.event_id) {
     console.error('Invalid event provided for failure storage');
     return;
   }
   
   try {
+    const existing = await getFailedEvent(event.event_id);
+    const retryCount = existing?.retry_count || 0;
+    const nextAttemptAt = computeNextAttemptAt(retryCount);
+    
+    // A whole-event failure (no destination list) supersedes a targeted one
+    let destinations = failedDestinations;
+    if (existing) {
+      destinations = existing.failed_destinations && failedDestinations
+        ? Array.from(new Set([...existing.failed_destinations, ...failedDestinations]))
+        : null;
+    }
+    
     const failedEvent = {
       event_id: event.event_id,
       event_data: event,
       error: error.message,
-      failed_at: new Date().toISOString(),
-      retry_count: 0
+      failed_at: existing?.failed_at || new Date().toISOString(),
+      retry_count: retryCount,
+      next_attempt_at: new Date(nextAttemptAt).toISOString(),
+      failed_destinations: destinations
     };
     
-    // Add to sorted set with timestamp as score for ordered processing
-    const score = Date.now();
-    await kv.zadd(PREFIX.FAILED, { score, member: JSON.stringify(failedEvent) });
+    await getStorageBackend().set(`${PREFIX.FAILED_RECORD}${event.event_id}`, JSON.stringify(failedEvent));
+    // Index by next attempt time so due events come first
+    await getStorageBackend().zadd(PREFIX.FAILED, { score: nextAttemptAt, member: event.event_id });
   } catch (storageError) {
     console.error('Error storing failed event:', storageError);
+    throw storageError;
+  }
+}
+
+/**
+ * Gets a single failed event
+ * @param {string} eventId - The unique ID of the webhook event
+ * @returns {Promise<Object|null>} - The failed event record
+ */
+async function getFailedEvent(eventId) {
+  try {
+    return parseRecord(await getStorageBackend().get(`${PREFIX.FAILED_RECORD}${eventId}`));
+  } catch (error) {
+    console.error('Error retrieving failed event:', error);
+    return null;
+  }
+}
+
+/**
+ * Updates a failed event in place
+ * @param {string} eventId - The unique ID of the webhook event
+ * @param {Object} changes - Fields to update; a new next_attempt_at re-indexes the event
+ * @returns {Promise<Object|null>} - The updated record, or null if not found
+ */
+async function updateFailedEvent(eventId, changes) {
+  try {
+    const existing = await getFailedEvent(eventId);
+    if (!existing) return null;
+    
+    const updated = { ...existing, ...changes, event_id: eventId };
+    await getStorageBackend().set(`${PREFIX.FAILED_RECORD}${eventId}`, JSON.stringify(updated));
+    
+    if (changes.next_attempt_at) {
+      await getStorageBackend().zadd(PREFIX.FAILED, { score: new Date(changes.next_attempt_at).getTime(), member: eventId });
+    }
+    return updated;
+  } catch (error) {
+    console.error('Error updating failed event:', error);
+    return null;
+  }
+}
+
+/**
+ * Deletes a failed event, e.g. after a successful retry
+ * @param {string} eventId - The unique ID of the webhook event
+ * @returns {Promise<void>}
+ */
+async function deleteFailedEvent(eventId) {
+  try {
+    await getStorageBackend().zrem(PREFIX.FAILED, eventId);
+    await getStorageBackend().del(`${PREFIX.FAILED_RECORD}${eventId}`);
+  } catch (error) {
+    console.error('Error deleting failed event:', error);
   }
 }
 
 /**
- * Retrieves all failed events for retry processing
- * @returns {Promise<Array>} - Array of failed events
+ * Retrieves all failed events, in next-attempt order
+ * @returns {Promise<Array<Object>>} - Failed event records
  */
 async function getFailedEvents() {
   try {
-    return await kv.zrange(PREFIX.FAILED, 0, -1);
+    const ids = await getStorageBackend().zrange(PREFIX.FAILED, 0, -1);
+    return await loadRecords(PREFIX.FAILED_RECORD, ids);
   } catch (error) {
     console.error('Error retrieving failed events:', error);
     return [];
@@ -156,18 +469,260 @@ async function getFailedEvents() {
 }
 
 /**
- * Removes a failed event after successful retry
- * @param {string} eventJson - The JSON string of the event to remove
+ * Retrieves failed events whose next attempt is due
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Array<Object>>} - Failed event records
+ */
+async function getDueFailedEvents(now = Date.now()) {
+  try {
+    const ids = await getStorageBackend().zrange(PREFIX.FAILED, 0, now, { byScore: true });
+    return await loadRecords(PREFIX.FAILED_RECORD, ids);
+  } catch (error) {
+    console.error('Error retrieving due failed events:', error);
+    return [];
+  }
+}
+
+/**
+ * Records another failed attempt and schedules the next one with backoff
+ * @param {string} eventId - The unique ID of the webhook event
+ * @param {Object} update - { error, failedDestinations } from the latest attempt
+ * @returns {Promise<Object|null>} - The updated record
+ */
+async function rescheduleFailedEvent(eventId, { error, failedDestinations } = {}) {
+  const existing = await getFailedEvent(eventId);
+  if (!existing) return null;
+  
+  const retryCount = (existing.retry_count || 0) + 1;
+  
+  return updateFailedEvent(eventId, {
+    error: error || existing.error,
+    failed_destinations: failedDestinations || existing.failed_destinations || null,
+    retry_count: retryCount,
+    last_attempt_at: new Date().toISOString(),
+    next_attempt_at: new Date(computeNextAttemptAt(retryCount)).toISOString()
+  });
+}
+
+/**
+ * Moves a failed event to the dead-letter set once it can no longer be retried
+ * @param {string} eventId - The unique ID of the webhook event
+ * @param {string} reason - Why the event was dead-lettered
+ * @returns {Promise<void>}
+ */
+async function moveToDeadLetter(eventId, reason) {
+  try {
+    const failedEvent = await getFailedEvent(eventId);
+    if (!failedEvent) return;
+    
+    const deadLetter = {
+      ...failedEvent,
+      dead_lettered_at: new Date().toISOString(),
+      dead_letter_reason: reason
+    };
+    
+    await getStorageBackend().set(`${PREFIX.DEAD_LETTER_RECORD}${eventId}`, JSON.stringify(deadLetter));
+    await getStorageBackend().zadd(PREFIX.DEAD_LETTER, { score: Date.now(), member: eventId });
+    await deleteFailedEvent(eventId);
+    
+    console.warn(JSON.stringify({
+      level: 'warn',
+      event: 'event_dead_lettered',
+      event_id: eventId,
+      retry_count: failedEvent.retry_count || 0,
+      reason,
+      timestamp: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error('Error moving event to dead-letter set:', error);
+  }
+}
+
+/**
+ * Retrieves dead-lettered events, oldest first
+ * @returns {Promise<Array<Object>>} - Dead-letter records
+ */
+async function getDeadLetterEvents() {
+  try {
+    const ids = await getStorageBackend().zrange(PREFIX.DEAD_LETTER, 0, -1);
+    return await loadRecords(PREFIX.DEAD_LETTER_RECORD, ids);
+  } catch (error) {
+    console.error('Error retrieving dead-letter events:', error);
+    return [];
+  }
+}
+
+/**
+ * Gets a single dead-lettered event
+ * @param {string} eventId - The unique ID of the webhook event
+ * @returns {Promise<Object|null>} - The dead-letter record
+ */
+async function getDeadLetterEvent(eventId) {
+  try {
+    return parseRecord(await getStorageBackend().get(`${PREFIX.DEAD_LETTER_RECORD}${eventId}`));
+  } catch (error) {
+    console.error('Error retrieving dead-letter event:', error);
+    return null;
+  }
+}
+
+/**
+ * Deletes a single dead-lettered event
+ * @param {string} eventId - The unique ID of the webhook event
  * @returns {Promise<void>}
  */
-async function removeFailedEvent(eventJson) {
+async function deleteDeadLetterEvent(eventId) {
+  await getStorageBackend().zrem(PREFIX.DEAD_LETTER, eventId);
+  await getStorageBackend().del(`${PREFIX.DEAD_LETTER_RECORD}${eventId}`);
+}
+
+/**
+ * Moves a dead-lettered event back into the retry queue with a fresh retry budget
+ * @param {string} eventId - The unique ID of the webhook event
+ * @returns {Promise<boolean>} - True if the event was requeued
+ */
+async function requeueDeadLetterEvent(eventId) {
+  try {
+    const deadLetter = await getDeadLetterEvent(eventId);
+    if (!deadLetter) return false;
+    
+    const { dead_lettered_at, dead_letter_reason, ...failedEvent } = deadLetter;
+    const now = Date.now();
+    const requeued = {
+      ...failedEvent,
+      retry_count: 0,
+      next_attempt_at: new Date(now).toISOString(),
+      requeued_at: new Date(now).toISOString()
+    };
+    
+    await getStorageBackend().set(`${PREFIX.FAILED_RECORD}${eventId}`, JSON.stringify(requeued));
+    await getStorageBackend().zadd(PREFIX.FAILED, { score: now, member: eventId });
+    await deleteDeadLetterEvent(eventId);
+    return true;
+  } catch (error) {
+    console.error('Error requeueing dead-letter event:', error);
+    return false;
+  }
+}
+
+/**
+ * Permanently deletes dead-lettered events
+ * @param {string} eventId - Event to purge; purges everything when omitted
+ * @returns {Promise<number>} - Number of events purged
+ */
+async function purgeDeadLetterEvents(eventId = null) {
+  try {
+    const ids = eventId ? [eventId] : await getStorageBackend().zrange(PREFIX.DEAD_LETTER, 0, -1);
+    let purged = 0;
+    
+    for (const id of ids) {
+      if (await getStorageBackend().exists(`${PREFIX.DEAD_LETTER_RECORD}${id}`)) {
+        purged++;
+      }
+      await deleteDeadLetterEvent(id);
+    }
+    return purged;
+  } catch (error) {
+    console.error('Error purging dead-letter events:', error);
+    return 0;
+  }
+}
+
+/**
+ * Check whether a sorted-set member is a legacy JSON-string record rather than an event ID
+ * @param {string|Object} member - Sorted-set member
+ * @returns {boolean} - True for legacy members
+ */
+function isLegacyMember(member) {
+  return typeof member === 'object' || (typeof member === 'string' && member.trim().startsWith('{'));
+}
+
+/**
+ * Migrate one sorted set from JSON-string members to id-keyed records
+ * @param {string} setKey - Sorted-set key
+ * @param {string} recordPrefix - Record key prefix
+ * @param {Function} scoreFor - (record, originalScore) => new score
+ * @returns {Promise<number>} - Number of legacy members migrated
+ */
+async function migrateLegacySet(setKey, recordPrefix, scoreFor) {
+  const entries = await getStorageBackend().zrange(setKey, 0, -1, { withScores: true });
+  let migrated = 0;
+  
+  // withScores returns a flat [member, score, member, score, ...] list
+  for (let i = 0; i < entries.length; i += 2) {
+    const member = entries[i];
+    const originalScore = Number(entries[i + 1]);
+    if (!isLegacyMember(member)) continue;
+    
+    const rawMember = typeof member === 'string' ? member : JSON.stringify(member);
+    const record = parseRecord(member);
+    
+    if (record?.event_id) {
+      // The old format allowed duplicates; keep the one with the most retries
+      const existing = parseRecord(await getStorageBackend().get(`${recordPrefix}${record.event_id}`));
+      if (!existing || (record.retry_count || 0) > (existing.retry_count || 0)) {
+        await getStorageBackend().set(`${recordPrefix}${record.event_id}`, JSON.stringify(record));
+        await getStorageBackend().zadd(setKey, { score: scoreFor(record, originalScore), member: record.event_id });
+      }
+    }
+    
+    await getStorageBackend().zrem(setKey, rawMember);
+    migrated++;
+  }
+  
+  return migrated;
+}
+
+/**
+ * Converts failed-event and dead-letter sets written by older versions
+ * (full JSON strings as members) to id-keyed records. Safe to run repeatedly.
+ * @returns {Promise<Object>} - { failed, deadLetter } counts of migrated members
+ */
+async function migrateLegacyFailedEvents() {
   try {
-    await kv.zrem(PREFIX.FAILED, eventJson);
+    const failed = await migrateLegacySet(PREFIX.FAILED, PREFIX.FAILED_RECORD, (record, score) =>
+      record.next_attempt_at ? new Date(record.next_attempt_at).getTime() : score
+    );
+    const deadLetter = await migrateLegacySet(PREFIX.DEAD_LETTER, PREFIX.DEAD_LETTER_RECORD, (record, score) =>
+      record.dead_lettered_at ? new Date(record.dead_lettered_at).getTime() : score
+    );
+    
+    if (failed > 0 || deadLetter > 0) {
+      console.log(JSON.stringify({
+        level: 'info',
+        event: 'failed_events_migrated',
+        failed,
+        dead_letter: deadLetter,
+        timestamp: new Date().toISOString()
+      }));
+    }
+    
+    return { failed, deadLetter };
   } catch (error) {
-    console.error('Error removing failed event:', error);
+    console.error('Error migrating legacy failed events:', error);
+    return { failed: 0, deadLetter: 0 };
   }
 }
 
+/**
+ * Collect keys matching a pattern with SCAN, which unlike KEYS doesn't block the server
+ * @param {string} pattern - Glob pattern
+ * @param {number} limit - Maximum number of keys to return (0 for no limit)
+ * @returns {Promise<Array<string>>} - Matching keys
+ */
+async function scanKeys(pattern, limit = 0) {
+  const keys = [];
+  let cursor = 0;
+  
+  do {
+    const [nextCursor, page] = await getStorageBackend().scan(cursor, { match: pattern, count: 100 });
+    keys.push(...page);
+    cursor = Number(nextCursor);
+  } while (cursor !== 0 && (!limit || keys.length < limit));
+  
+  return limit ? keys.slice(0, limit) : keys;
+}
+
 /**
  * Gets recent processed events for the dashboard
  * @param {number} limit - Maximum number of events to retrieve
@@ -175,13 +730,13 @@ async function removeFailedEvent(eventJson) {
  */
 async function getRecentEvents(limit = 10) {
   try {
-    const keys = await kv.keys(`${PREFIX.EVENT}*`, { limit });
+    const keys = await scanKeys(`${PREFIX.EVENT}*`, limit);
     if (!keys.length) return [];
     
-    const events = await kv.mget(...keys);
+    const events = await getStorageBackend().mget(...keys);
     return events.map((event, index) => {
       try {
-        const parsed = JSON.parse(event);
+        const parsed = parseRecord(event);
         parsed.key = keys[index];
         return parsed;
       } catch (e) {
@@ -194,12 +749,114 @@ async function getRecentEvents(limit = 10) {
   }
 }
 
+/**
+ * Claims the right to send an alert, at most once per window
+ * @param {string} alertKey - Identifies what the alert is about, e.g. low_stock:<location>:<variation>
+ * @param {number} windowSeconds - De-bounce window
+ * @returns {Promise<boolean>} - True if the alert may be sent now
+ */
+async function acquireAlertDebounce(alertKey, windowSeconds) {
+  try {
+    const result = await getStorageBackend().set(`${PREFIX.ALERT_DEBOUNCE}${alertKey}`, new Date().toISOString(), {
+      ex: windowSeconds,
+      nx: true
+    });
+    return result !== null;
+  } catch (error) {
+    console.error('Error acquiring alert debounce:', error);
+    // A duplicate alert is better than a missed one
+    return true;
+  }
+}
+
+/**
+ * Releases a de-bounce claim, e.g. when the alert could not be delivered
+ * @param {string} alertKey - Key passed to acquireAlertDebounce
+ * @returns {Promise<void>}
+ */
+async function releaseAlertDebounce(alertKey) {
+  try {
+    await getStorageBackend().del(`${PREFIX.ALERT_DEBOUNCE}${alertKey}`);
+  } catch (error) {
+    console.error('Error releasing alert debounce:', error);
+  }
+}
+
+/**
+ * Gets the per-event-type processing counters
+ * @returns {Promise<Object>} - Map of metric name to count
+ */
+async function getMetrics() {
+  const keys = await scanKeys(`${PREFIX.METRICS}*`);
+  if (!keys.length) return {};
+  
+  const values = await getStorageBackend().mget(...keys);
+  const metrics = {};
+  keys.forEach((key, index) => {
+    metrics[key.replace(PREFIX.METRICS, '')] = Number(values[index]) || 0;
+  });
+  return metrics;
+}
+
+/**
+ * Gets the processing counters per merchant
+ * @returns {Promise<Object>} - Map of merchant ID to { metric name: count }
+ */
+async function getMerchantMetrics() {
+  const keys = await scanKeys(`${PREFIX.MERCHANT_METRICS}*`);
+  if (!keys.length) return {};
+  
+  const values = await getStorageBackend().mget(...keys);
+  const metrics = {};
+  keys.forEach((key, index) => {
+    // Merchant IDs have no colons; metric names may (rejected:<event type>)
+    const rest = key.slice(PREFIX.MERCHANT_METRICS.length);
+    const separator = rest.indexOf(':');
+    const merchantId = rest.slice(0, separator);
+    metrics[merchantId] = metrics[merchantId] || {};
+    metrics[merchantId][rest.slice(separator + 1)] = Number(values[index]) || 0;
+  });
+  return metrics;
+}
+
+/**
+ * Checks that the storage backend is reachable
+ * @returns {Promise<string>} - Name of the active backend
+ */
+async function pingStorage() {
+  const backend = getStorageBackend();
+  await backend.ping();
+  return backend.name;
+}
+
 module.exports = {
+  EVENT_STATES,
   isDuplicateEvent,
-  checkAndMarkEventProcessed,
-  logProcessedEvent,
+  reserveEvent,
+  commitEvent,
+  getDedupStats,
+  getEventMarker,
+  recordRejectedEvent,
+  getDeliveryRecords,
+  updateDeliveryRecord,
   storeFailedEvent,
+  getFailedEvent,
+  updateFailedEvent,
+  deleteFailedEvent,
   getFailedEvents,
-  removeFailedEvent,
-  getRecentEvents
+  getDueFailedEvents,
+  rescheduleFailedEvent,
+  moveToDeadLetter,
+  getDeadLetterEvents,
+  getDeadLetterEvent,
+  requeueDeadLetterEvent,
+  purgeDeadLetterEvents,
+  migrateLegacyFailedEvents,
+  scanKeys,
+  getRecentEvents,
+  acquireAlertDebounce,
+  releaseAlertDebounce,
+  getMetrics,
+  getMerchantMetrics,
+  pingStorage
 };
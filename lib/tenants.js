@@ -0,0 +1,169 @@
+/**
+ * Tenant registry for sellers connected through OAuth
+ * Each tenant is keyed by Square merchant_id and carries its own access token, signature keys,
+ * destination settings and high-value threshold. Events from merchants that aren't registered
+ * use the deployment-wide settings.
+ */
+const { parseSignatureKeys, getSignatureKeys } = require('./signature');
+
+/**
+ * Parse the SQUARE_TENANTS value
+ * Format: JSON array of
+ *   { merchant_id, access_token, refresh_token?, expires_at?, signature_keys?: [{ id, key, not_after? }],
+ *     destinations?: { <destination name>: false | { url, ...destination settings } }, high_value_threshold? }
+ * @param {string} value - The raw JSON value
+ * @returns {Array<Object>} - Normalized tenants
+ * @throws {Error} - If the value is malformed
+ */
+function parseTenants(value) {
+  const entries = JSON.parse(value);
+  if (!Array.isArray(entries)) {
+    throw new Error('SQUARE_TENANTS must be a JSON array');
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry.merchant_id !== 'string' || entry.merchant_id.length === 0) {
+      throw new Error(`Tenant at index ${index} is missing a merchant_id`);
+    }
+    const merchantId = entry.merchant_id;
+    if (seen.has(merchantId)) {
+      throw new Error(`Duplicate tenant: ${merchantId}`);
+    }
+    seen.add(merchantId);
+
+    if (typeof entry.access_token !== 'string' || entry.access_token.length === 0) {
+      throw new Error(`Tenant ${merchantId} is missing an access_token`);
+    }
+
+    let expiresAt = null;
+    if (entry.expires_at) {
+      expiresAt = new Date(entry.expires_at);
+      if (isNaN(expiresAt.getTime())) {
+        throw new Error(`Tenant ${merchantId} has an invalid expires_at date`);
+      }
+    }
+
+    const destinations = entry.destinations || {};
+    if (typeof destinations !== 'object' || Array.isArray(destinations)) {
+      throw new Error(`Tenant ${merchantId} destinations must be an object`);
+    }
+    for (const [name, setting] of Object.entries(destinations)) {
+      const valid = setting === false || setting === true ||
+        (setting && typeof setting === 'object' && (setting.url === undefined || String(setting.url).includes('://')));
+      if (!valid) {
+        throw new Error(`Tenant ${merchantId} has an invalid setting for destination ${name}`);
+      }
+    }
+
+    if (entry.high_value_threshold !== undefined &&
+        (typeof entry.high_value_threshold !== 'number' || entry.high_value_threshold < 0)) {
+      throw new Error(`Tenant ${merchantId} high_value_threshold must be a non-negative number`);
+    }
+
+    return {
+      merchantId,
+      registered: true,
+      accessToken: entry.access_token,
+      refreshToken: entry.refresh_token || null,
+      expiresAt,
+      signatureKeys: entry.signature_keys ? parseSignatureKeys(entry.signature_keys) : null,
+      destinations,
+      highValueThreshold: entry.high_value_threshold ?? null
+    };
+  });
+}
+
+/**
+ * Get the registered tenants
+ * @returns {Array<Object>} - Tenants, or an empty list if unset or invalid
+ */
+function getTenants() {
+  if (!process.env.SQUARE_TENANTS) return [];
+
+  try {
+    return parseTenants(process.env.SQUARE_TENANTS);
+  } catch (error) {
+    console.error('Invalid SQUARE_TENANTS:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a registered tenant
+ * @param {string} merchantId - Square merchant ID
+ * @returns {Object|null} - The tenant, or null if not registered
+ */
+function getTenant(merchantId) {
+  if (!merchantId) return null;
+  return getTenants().find(tenant => tenant.merchantId === merchantId) || null;
+}
+
+/**
+ * Resolve the tenant for a webhook event
+ * Unregistered merchants get the deployment-wide settings; settings a tenant leaves out
+ * (signature keys, destination URLs, threshold) also fall back to them
+ * @param {Object} webhookData - The webhook data
+ * @returns {Object} - Tenant with signatureKeys always set
+ */
+function getTenantForEvent(webhookData) {
+  const merchantId = webhookData?.merchant_id || null;
+  const tenant = getTenant(merchantId);
+
+  if (!tenant) {
+    return {
+      merchantId,
+      registered: false,
+      accessToken: process.env.SQUARE_ACCESS_TOKEN || null,
+      refreshToken: null,
+      expiresAt: null,
+      signatureKeys: getSignatureKeys(),
+      destinations: {},
+      highValueThreshold: null
+    };
+  }
+
+  return { ...tenant, signatureKeys: tenant.signatureKeys || getSignatureKeys() };
+}
+
+/**
+ * Check whether a tenant turned a destination off
+ * @param {Object} tenant - Tenant from getTenantForEvent
+ * @param {string} name - Destination name
+ * @returns {boolean} - False if the tenant disabled the destination
+ */
+function isDestinationEnabledForTenant(tenant, name) {
+  return tenant?.destinations?.[name] !== false;
+}
+
+/**
+ * Get a tenant's settings object for a destination
+ * @param {Object} tenant - Tenant from getTenantForEvent (may be null)
+ * @param {string} name - Destination name
+ * @returns {Object} - The settings, or an empty object if the tenant has none
+ */
+function getTenantDestinationSetting(tenant, name) {
+  const setting = tenant?.destinations?.[name];
+  return setting && typeof setting === 'object' ? setting : {};
+}
+
+/**
+ * Get the URL a destination should post to for a tenant
+ * @param {Object} tenant - Tenant from getTenantForEvent (may be null)
+ * @param {string} name - Destination name
+ * @param {string} fallbackUrl - Deployment-wide URL
+ * @returns {string|null} - The tenant's URL, else the fallback
+ */
+function getTenantDestinationUrl(tenant, name, fallbackUrl) {
+  return getTenantDestinationSetting(tenant, name).url || fallbackUrl || null;
+}
+
+module.exports = {
+  parseTenants,
+  getTenants,
+  getTenant,
+  getTenantForEvent,
+  isDestinationEnabledForTenant,
+  getTenantDestinationSetting,
+  getTenantDestinationUrl
+};
@@ -0,0 +1,12 @@
+/**
+ * Standalone server entry point
+ * Runs every api/ handler and the vercel.json crons in a single Node process
+ */
+require('./lib/config');
+const { startServer } = require('./lib/server');
+
+startServer({
+  port: Number(process.env.PORT) || 3000,
+  enableScheduler: process.env.ENABLE_SCHEDULER !== 'false',
+  queueWorkerIntervalMs: Number(process.env.QUEUE_WORKER_INTERVAL_MS ?? 5000)
+});
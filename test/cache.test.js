@@ -0,0 +1,85 @@
+/**
+ * Enrichment cache reads, writes and stats against the in-memory backend
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { setStorageBackend } = require('../lib/storage-backends');
+const { createMemoryBackend } = require('../lib/storage-backends/memory');
+const { CACHE_NAMESPACES, cached, cachedMany, invalidate, getCacheStats } = require('../lib/cache');
+
+// Shaped like Square SDK models, which carry BigInt amounts and versions
+const order = {
+  id: 'O1',
+  version: 3n,
+  totalMoney: { amount: 12345n, currency: 'USD' },
+  lineItems: [{ catalogObjectId: 'V1', basePriceMoney: { amount: 500n, currency: 'USD' } }]
+};
+
+let store;
+
+test.beforeEach(() => {
+  store = createMemoryBackend();
+  setStorageBackend(store);
+});
+
+test('SDK models with BigInt values are cached and read back unchanged', async () => {
+  let loads = 0;
+  const loader = async () => {
+    loads++;
+    return order;
+  };
+
+  assert.deepStrictEqual(await cached(CACHE_NAMESPACES.ORDER, 'O1', loader), order);
+  assert.deepStrictEqual(await cached(CACHE_NAMESPACES.ORDER, 'O1', loader), order);
+
+  assert.strictEqual(loads, 1);
+  assert.deepStrictEqual((await getCacheStats()).order, { hits: 1, misses: 1, hit_rate: 0.5 });
+});
+
+test('entries the backend returns already deserialized are revived', async () => {
+  await cached(CACHE_NAMESPACES.ORDER, 'O1', async () => order);
+  const get = store.get;
+  store.get = async key => JSON.parse(await get(key));
+
+  assert.deepStrictEqual(await cached(CACHE_NAMESPACES.ORDER, 'O1', async () => null), order);
+});
+
+test('null results are not cached', async () => {
+  let loads = 0;
+  const loader = async () => {
+    loads++;
+    return null;
+  };
+
+  await cached(CACHE_NAMESPACES.CUSTOMER, 'C1', loader);
+  await cached(CACHE_NAMESPACES.CUSTOMER, 'C1', loader);
+  assert.strictEqual(loads, 2);
+});
+
+test('cachedMany loads only the misses', async () => {
+  const requested = [];
+  const loader = async ids => {
+    requested.push(ids);
+    return Object.fromEntries(ids.map(id => [id, { id, version: 1n }]));
+  };
+
+  await cachedMany(CACHE_NAMESPACES.CATALOG, ['V1'], loader);
+  const results = await cachedMany(CACHE_NAMESPACES.CATALOG, ['V1', 'V2', 'V2'], loader);
+
+  assert.deepStrictEqual(requested, [['V1'], ['V2']]);
+  assert.deepStrictEqual(results, { V1: { id: 'V1', version: 1n }, V2: { id: 'V2', version: 1n } });
+  assert.deepStrictEqual((await getCacheStats()).catalog, { hits: 1, misses: 2, hit_rate: 0.333 });
+});
+
+test('invalidate drops an entry so the next lookup reloads it', async () => {
+  let loads = 0;
+  const loader = async () => {
+    loads++;
+    return order;
+  };
+
+  await cached(CACHE_NAMESPACES.ORDER, 'O1', loader);
+  assert.strictEqual(await invalidate(CACHE_NAMESPACES.ORDER, 'O1'), 1);
+  await cached(CACHE_NAMESPACES.ORDER, 'O1', loader);
+  assert.strictEqual(loads, 2);
+});
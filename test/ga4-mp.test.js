@@ -0,0 +1,73 @@
+/**
+ * GA4 Measurement Protocol batching and debug validation
+ * axios.post is replaced, so nothing leaves the process.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { postToGA4MeasurementProtocol } = require('../lib/gtm-api');
+
+const webhookData = { event_id: 'evt-1', type: 'order.created' };
+const ga4Event = count => ({
+  client_id: '123.456',
+  events: Array.from({ length: count }, (_, index) => ({ name: 'purchase', params: { index } }))
+});
+
+const originalPost = axios.post;
+let posts;
+let reply;
+
+test.beforeEach(() => {
+  process.env.GA4_MEASUREMENT_ID = 'G-TEST';
+  process.env.GA4_API_SECRET = 'secret';
+  delete process.env.GA4_MP_DEBUG;
+  posts = [];
+  reply = () => ({ status: 204, data: '' });
+  axios.post = async (url, payload) => {
+    posts.push({ url, payload });
+    return reply(payload);
+  };
+});
+
+test.afterEach(() => {
+  axios.post = originalPost;
+});
+
+test('events are sent in batches of at most 25', async () => {
+  const result = await postToGA4MeasurementProtocol(ga4Event(26), webhookData);
+
+  assert.deepStrictEqual(posts.map(post => post.payload.events.length), [25, 1]);
+  assert.strictEqual(posts[1].payload.events[0].params.index, 25);
+  assert.strictEqual(posts[1].payload.client_id, '123.456');
+  assert.ok(posts[0].url.startsWith('https://www.google-analytics.com/mp/collect?measurement_id=G-TEST&'));
+  assert.deepStrictEqual(result, { requests: 2, events: 26, debug: false, validation_messages: undefined });
+});
+
+test('debug mode posts to the validation endpoint and collects messages from every batch', async () => {
+  process.env.GA4_MP_DEBUG = 'true';
+  reply = payload => ({
+    status: 200,
+    data: { validationMessages: [{ description: `batch of ${payload.events.length}` }] }
+  });
+
+  const result = await postToGA4MeasurementProtocol(ga4Event(30), webhookData);
+
+  assert.ok(posts.every(post => post.url.startsWith('https://www.google-analytics.com/debug/mp/collect?')));
+  assert.deepStrictEqual(result.validation_messages, [{ description: 'batch of 25' }, { description: 'batch of 5' }]);
+});
+
+test('a failed batch fails the delivery', async () => {
+  reply = () => {
+    throw new Error('socket hang up');
+  };
+
+  await assert.rejects(postToGA4MeasurementProtocol(ga4Event(3), webhookData), /socket hang up/);
+  assert.strictEqual(posts.length, 1);
+});
+
+test('a missing measurement ID or API secret is an error', async () => {
+  delete process.env.GA4_API_SECRET;
+
+  await assert.rejects(postToGA4MeasurementProtocol(ga4Event(1), webhookData), /not configured/);
+  assert.strictEqual(posts.length, 0);
+});
@@ -0,0 +1,61 @@
+/**
+ * GA4 identity precedence against the in-memory backend
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { setStorageBackend } = require('../lib/storage-backends');
+const { createMemoryBackend } = require('../lib/storage-backends/memory');
+const { CLIENT_ID_SOURCES, getUserId, recordCheckoutClientId, resolveIdentity } = require('../lib/identity');
+
+// Enriched payment events nest { order, customer } under order; the order is an SDK model
+const paymentEvent = ({ customerId = 'C1', orderId = 'O1' } = {}) => ({
+  event_id: 'evt-1',
+  type: 'payment.updated',
+  data: { object: { id: 'P1', order_id: orderId } },
+  enriched: { order: { order: { id: orderId, customerId }, customer: null } }
+});
+
+test.beforeEach(() => {
+  setStorageBackend(createMemoryBackend());
+});
+
+test('a customer keeps the client_id generated on their first event', async () => {
+  const first = await resolveIdentity(paymentEvent({ orderId: 'O1' }));
+  const second = await resolveIdentity(paymentEvent({ orderId: 'O2' }));
+
+  assert.strictEqual(first.user_id, getUserId('C1'));
+  assert.strictEqual(first.client_id_source, CLIENT_ID_SOURCES.GENERATED);
+  assert.match(first.client_id, /^\d+\.\d+$/);
+  assert.strictEqual(second.client_id, first.client_id);
+});
+
+test('an order capture replaces a generated client_id and sticks to the customer', async () => {
+  await resolveIdentity(paymentEvent({ orderId: 'O1' }));
+  await recordCheckoutClientId({ client_id: '111.222', customer_id: null, order_id: 'O2' });
+
+  const captured = await resolveIdentity(paymentEvent({ orderId: 'O2' }));
+  const later = await resolveIdentity(paymentEvent({ orderId: 'O3' }));
+
+  assert.deepStrictEqual(
+    [captured.client_id, captured.client_id_source],
+    ['111.222', CLIENT_ID_SOURCES.CHECKOUT]
+  );
+  assert.strictEqual(later.client_id, '111.222');
+});
+
+test('a checkout capture for the customer wins over an order capture', async () => {
+  await recordCheckoutClientId({ client_id: '111.222', customer_id: 'C1', order_id: null });
+  await recordCheckoutClientId({ client_id: '333.444', customer_id: null, order_id: 'O1' });
+
+  assert.strictEqual((await resolveIdentity(paymentEvent())).client_id, '111.222');
+});
+
+test('guest events use the order capture, or leave the client_id to the caller', async () => {
+  await recordCheckoutClientId({ client_id: '555.666', customer_id: null, order_id: 'O1' });
+
+  const captured = await resolveIdentity(paymentEvent({ customerId: null, orderId: 'O1' }));
+  const uncaptured = await resolveIdentity(paymentEvent({ customerId: null, orderId: 'O2' }));
+
+  assert.deepStrictEqual(captured, { user_id: null, client_id: '555.666', client_id_source: CLIENT_ID_SOURCES.CHECKOUT });
+  assert.deepStrictEqual(uncaptured, { user_id: null, client_id: null, client_id_source: null });
+});
@@ -0,0 +1,124 @@
+/**
+ * Queue lease, ack and nack behavior against the in-memory backend
+ * The pipeline is stubbed, so each test decides how processing ends.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { setStorageBackend } = require('../lib/storage-backends');
+const { createMemoryBackend } = require('../lib/storage-backends/memory');
+
+// The queue binds processEvent when it loads, so the stub delegates to a replaceable run()
+let run;
+const pipelinePath = require.resolve('../lib/pipeline');
+require.cache[pipelinePath] = {
+  id: pipelinePath,
+  filename: pipelinePath,
+  loaded: true,
+  exports: {
+    PROCESSING_MODES: { LIVE: 'live', RETRY: 'retry', REPLAY: 'replay' },
+    processEvent: (...args) => run(...args)
+  }
+};
+
+const { enqueueEvent, claimEvent, ackEvent, nackEvent, drainQueue, getQueueStats } = require('../lib/queue');
+
+const event = (id = 'evt-1') => ({ event_id: id, type: 'order.created', merchant_id: 'M1', data: { id: 'O1' } });
+
+let store;
+
+test.beforeEach(() => {
+  store = createMemoryBackend();
+  setStorageBackend(store);
+  run = async () => ({ status: 'processed' });
+});
+
+test('enqueueEvent queues an event once', async () => {
+  assert.strictEqual(await enqueueEvent(event()), true);
+  assert.strictEqual(await enqueueEvent(event()), false);
+  assert.deepStrictEqual(await getQueueStats(), { pending: 1, visible: 1, delayed: 0 });
+});
+
+test('a redelivery re-indexes an item whose pending entry was never written', async () => {
+  await store.set('queue:item:evt-1', JSON.stringify({ event_id: 'evt-1', event: event(), attempts: 0 }));
+
+  assert.strictEqual(await enqueueEvent(event()), false);
+  assert.strictEqual((await getQueueStats()).visible, 1);
+  assert.deepStrictEqual(await drainQueue(), [{ event_id: 'evt-1', status: 'processed' }]);
+});
+
+test('a redelivery does not reset an event that is backing off', async () => {
+  await enqueueEvent(event());
+  const lease = await claimEvent('evt-1');
+  await nackEvent(lease, new Error('boom'));
+
+  await enqueueEvent(event());
+  assert.deepStrictEqual(await getQueueStats(), { pending: 1, visible: 0, delayed: 1 });
+});
+
+test('a leased event is hidden until acked, then leaves the queue', async () => {
+  await enqueueEvent(event());
+  const lease = await claimEvent('evt-1');
+
+  assert.strictEqual(lease.item.attempts, 1);
+  assert.strictEqual(await claimEvent('evt-1'), null);
+  assert.strictEqual((await getQueueStats()).visible, 0);
+
+  assert.strictEqual(await ackEvent(lease), true);
+  assert.strictEqual(await store.get('queue:item:evt-1'), null);
+  assert.strictEqual((await getQueueStats()).pending, 0);
+});
+
+test('an expired lease cannot ack', async () => {
+  await enqueueEvent(event());
+  const lease = await claimEvent('evt-1', 1);
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  assert.strictEqual(await ackEvent(lease), false);
+  assert.notStrictEqual(await store.get('queue:item:evt-1'), null);
+});
+
+test('a crashed run is requeued with its attempt count', async () => {
+  run = async () => {
+    throw new Error('Error storing failed event');
+  };
+  await enqueueEvent(event());
+
+  assert.deepStrictEqual(await drainQueue(), [{ event_id: 'evt-1', status: 'requeued' }]);
+
+  const item = JSON.parse(await store.get('queue:item:evt-1'));
+  assert.strictEqual(item.attempts, 1);
+  assert.strictEqual(item.last_error, 'Error storing failed event');
+  assert.strictEqual((await getQueueStats()).delayed, 1);
+});
+
+test('an event out of attempts moves to the failed-events store', async () => {
+  process.env.QUEUE_MAX_ATTEMPTS = '1';
+  try {
+    await enqueueEvent(event());
+    const lease = await claimEvent('evt-1');
+    assert.strictEqual(await nackEvent(lease, new Error('boom')), true);
+
+    assert.strictEqual(await store.get('queue:item:evt-1'), null);
+    assert.notStrictEqual(await store.get('failed_event:evt-1'), null);
+  } finally {
+    delete process.env.QUEUE_MAX_ATTEMPTS;
+  }
+});
+
+test('an event out of attempts stays queued when the failed-events store is down', async () => {
+  process.env.QUEUE_MAX_ATTEMPTS = '1';
+  try {
+    await enqueueEvent(event());
+    const lease = await claimEvent('evt-1');
+    const zadd = store.zadd;
+    store.zadd = async (key, ...members) => {
+      if (key !== 'queue:pending') throw new Error('storage down');
+      return zadd(key, ...members);
+    };
+
+    await assert.rejects(nackEvent(lease, new Error('boom')), /storage down/);
+    assert.notStrictEqual(await store.get('queue:item:evt-1'), null);
+  } finally {
+    delete process.env.QUEUE_MAX_ATTEMPTS;
+  }
+});